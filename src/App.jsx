@@ -1,105 +1,880 @@
-import { useState, useEffect } from 'react';
-import { loadFraminghamData, getFeatureMetadata, computePCA, computeUMAP } from './utils/dataLoader';
+import { useState, useEffect, useRef, useMemo, useCallback } from 'react';
+import * as d3 from 'd3';
+import {
+  loadCohortFile,
+  inferFeatureMetadata,
+  isCategoricalFeature,
+  encodeRecord,
+  predictPCA,
+  TSNE_DEFAULTS,
+  UMAP_DEFAULTS,
+  UMAP_METRICS
+} from './utils/dataLoader';
+import { getOutcomeFeature, getProjectionFeatures } from './utils/dataDictionary';
+import { loadDatasetRegistry, loadDataset, resolveMetadata } from './utils/datasetRegistry';
+import { IMPUTATION_STRATEGIES, imputeDataset } from './utils/imputation';
+import { runProjection, cancelProjection, transformPoints } from './utils/projectionClient';
+import { runClustering, cancelClustering } from './utils/clusteringClient';
+import { CLUSTER_FEATURE, clusterMetadata } from './utils/clustering';
+import {
+  defaultInputs,
+  recordInputs,
+  inputsRecord,
+  similarIndividuals,
+  SIMILAR_INDIVIDUALS
+} from './utils/records';
+import { createCohort, updateCohort, deleteCohort } from './utils/cohorts';
+import { runQuery } from './utils/queryLanguage';
+import { applyFilters } from './utils/crossfilter';
+import { EMPTY_HISTORY, sameSnapshot, pushEntry, moveTo } from './utils/history';
+import { serializeViewState, parseViewState } from './utils/urlState';
+import { createSession, readSession, sessionView, serializeSession, sessionFileName, isSessionFile } from './utils/session';
+import { downloadFile } from './utils/download';
+import { EXPORT_FORMATS, exportColumns, summaryColumns, encodeColumns, exportFileName } from './utils/exportData';
+import {
+  hashDataset,
+  embeddingKey,
+  getCachedEmbedding,
+  putCachedEmbedding,
+  clearEmbeddingCache
+} from './utils/embeddingCache';
 import FeatureDistribution from './components/FeatureDistribution';
 import PCAView from './components/PCAView';
 import SubgroupSummary from './components/SubgroupSummary';
 import SubgroupComparison from './components/SubgroupComparison';
 import ScatterComparison from './components/ScatterComparison';
 import PersonalRiskCalculator from './components/PersonalRiskCalculator';
+import MissingDataPanel from './components/MissingDataPanel';
+import ProjectionParams from './components/ProjectionParams';
+import FeaturePicker from './components/FeaturePicker';
+import PCADiagnostics from './components/PCADiagnostics';
+import ClusteringPanel from './components/ClusteringPanel';
+import RecordInspector from './components/RecordInspector';
+import CohortManager from './components/CohortManager';
+import QueryBuilder from './components/QueryBuilder';
+import HistoryBar from './components/HistoryBar';
+import ExportPanel from './components/ExportPanel';
 import './App.css';
 
+const UMAP_FIELDS = [
+  { key: 'nNeighbors', label: 'Neighbors', min: 2, max: 200, step: 1, title: 'Size of the local neighbourhood; larger values favour global structure' },
+  { key: 'minDist', label: 'Min dist', min: 0, max: 1, step: 0.05, title: 'How tightly points may be packed together' },
+  { key: 'spread', label: 'Spread', min: 0.1, max: 5, step: 0.1, title: 'Scale of the embedded points' },
+  { key: 'nEpochs', label: 'Epochs', min: 10, max: 2000, step: 10, title: 'Optimization epochs' },
+  { key: 'metric', label: 'Metric', options: Object.keys(UMAP_METRICS), title: 'Distance used to find neighbours' },
+  { key: 'seed', label: 'Seed', min: 0, step: 1, title: 'Random seed; the same seed and parameters reproduce the same layout' }
+];
+
+const TSNE_FIELDS = [
+  { key: 'perplexity', label: 'Perplexity', min: 2, max: 100, step: 1, title: 'Effective number of neighbours each point attends to' },
+  { key: 'iterations', label: 'Iterations', min: 50, max: 5000, step: 50, title: 'Gradient descent steps' },
+  { key: 'learningRate', label: 'Learning rate', min: 1, max: 5000, step: 10, title: 'Step size of the optimization' },
+  { key: 'seed', label: 'Seed', min: 0, step: 1, title: 'Random seed; the same seed and parameters reproduce the same layout' }
+];
+
+// How the projection features are encoded; clustering on features uses the same matrix
+function encodingOptions(metadata, features, weights, imputation) {
+  return {
+    imputation,
+    categorical: features.filter(f => metadata[f]?.type === 'categorical'),
+    weights
+  };
+}
+
+const DEFAULT_SCATTER_AXES = { x: 'age', y: 'cigsPerDay' };
+// shared, so a prop that is switched off keeps the same value between renders
+const NO_INDICES = [];
+
+// Colour by the outcome if there is one; outcome-like columns are usually binary and come last
+function defaultColorFeature(metadata, headers) {
+  return getOutcomeFeature(metadata)
+    || [...headers].reverse().find(h => isCategoricalFeature(metadata[h]))
+    || headers.find(h => metadata[h].type === 'numeric')
+    || '';
+}
+
 export default function App() {
   const [data, setData] = useState(null);
+  const [headers, setHeaders] = useState([]);
   const [metadata, setMetadata] = useState(null);
   const [projection, setProjection] = useState([]);
   const [validIndices, setValidIndices] = useState([]);
   const [pcaInfo, setPcaInfo] = useState(null);
   const [selectedIndices, setSelectedIndices] = useState([]);
-  const [pinnedIndices, setPinnedIndices] = useState([]);
-  const [colorFeature, setColorFeature] = useState('TenYearCHD');
+  const [cohorts, setCohorts] = useState([]);
+  // a criteria query the selection follows until it is changed by hand
+  const [query, setQuery] = useState(null);
+  const [queryError, setQueryError] = useState(null);
+  const queryRef = useRef(null);
+  queryRef.current = query;
+  // crossfilter brushes on the feature histograms, by feature
+  const [histogramFilters, setHistogramFilters] = useState({});
+  // undo history of the selection and cohorts; handlers name the origin of
+  // the next change before making it
+  const [history, setHistory] = useState(EMPTY_HISTORY);
+  const originRef = useRef({ label: 'Start', merge: false });
+  const historyKeysRef = useRef(null);
+  const noteOrigin = (label, merge = false) => {
+    originRef.current = { label, merge };
+  };
+  const [colorFeature, setColorFeature] = useState('');
   const [clusteringMethod, setClusteringMethod] = useState('PCA');
+  const [umapParams, setUmapParams] = useState(UMAP_DEFAULTS);
+  const [tsneParams, setTsneParams] = useState(TSNE_DEFAULTS);
+  const [projectionFeatures, setProjectionFeatures] = useState([]);
+  const [featureWeights, setFeatureWeights] = useState({});
+  const [pcaComponents, setPcaComponents] = useState([0, 1]);
+  const [showBiplot, setShowBiplot] = useState(false);
+  const [clusters, setClusters] = useState(null);
+  const [isClustering, setIsClustering] = useState(false);
+  const [clusteringError, setClusteringError] = useState(null);
+  // only the latest clustering run may clear the busy state
+  const clusteringRunRef = useRef(0);
   const [isComputing, setIsComputing] = useState(false);
   const [computeError, setComputeError] = useState(null);
+  const [computeProgress, setComputeProgress] = useState(null);
+  // { error, text } after the embedding cache is cleared
+  const [cacheStatus, setCacheStatus] = useState(null);
+  const [streamLayouts, setStreamLayouts] = useState(true);
+  const streamLayoutsRef = useRef(streamLayouts);
+  streamLayoutsRef.current = streamLayouts;
+  const [isStreaming, setIsStreaming] = useState(false);
+  const [registry, setRegistry] = useState([]);
+  const [datasetId, setDatasetId] = useState(null);
+  const [isLoading, setIsLoading] = useState(false);
+  const [loadError, setLoadError] = useState(null);
+  const [isDragging, setIsDragging] = useState(false);
+  const [imputation, setImputation] = useState('median');
+  const [imputedIndices, setImputedIndices] = useState([]);
+  const [highlightImputed, setHighlightImputed] = useState(false);
+  const [inspectedIndex, setInspectedIndex] = useState(null);
+  const [calculatorInputs, setCalculatorInputs] = useState({});
+  const [showIndividual, setShowIndividual] = useState(false);
+  const [individual, setIndividual] = useState(null);
+  const [scatterAxes, setScatterAxes] = useState(DEFAULT_SCATTER_AXES);
+  // View state from the link the page was opened with, applied once its
+  // dataset has loaded; the selection part waits for the first projection
+  const linkStateRef = useRef(window.location.search ? parseViewState(window.location.search) : null);
+  const [pendingSelection, setPendingSelection] = useState(null);
+  const [sessionNotes, setSessionNotes] = useState('');
+  const [sessionStatus, setSessionStatus] = useState(null);
+  // Parsed uploads by registry id, so switching back to them needs no re-read
+  const uploadsRef = useRef(new Map());
+
+  const dataset = registry.find(entry => entry.id === datasetId);
 
   useEffect(() => {
-    async function loadData() {
-      const { data: loadedData } = await loadFraminghamData();
-      const meta = getFeatureMetadata();
-      setData(loadedData);
-      setMetadata(meta);
-
-      // Use only continuous features for clustering (no categorical variables)
-      const continuousFeatures = ['age', 'cigsPerDay', 'totChol', 'sysBP', 'diaBP',
-                                  'BMI', 'heartRate', 'glucose'];
-      const pcaResult = computePCA(loadedData, continuousFeatures);
-      setProjection(pcaResult.projection);
-      setValidIndices(pcaResult.validIndices);
-      setPcaInfo({
-        varExplained: pcaResult.varExplained,
-        features: pcaResult.features
+    loadDatasetRegistry()
+      .then(datasets => {
+        setRegistry(datasets);
+        const linkedId = linkStateRef.current?.dataset;
+        const linked = datasets.find(d => d.id === linkedId);
+        if (linkedId && !linked) linkStateRef.current = { missingDataset: linkedId };
+        setDatasetId((linked ?? datasets[0]).id);
+      })
+      .catch(error => {
+        console.error('Error loading dataset registry:', error);
+        setLoadError(error.message);
       });
-    }
-    loadData();
   }, []);
 
-  // Recompute projection when clustering method changes
+  const applyDataset = (loaded) => {
+    setSelectedIndices([]);
+    setCohorts([]);
+    setHistogramFilters({});
+    setHistory(EMPTY_HISTORY);
+    setComputeError(null);
+    cancelClustering();
+    setClusters(null);
+    setClusteringError(null);
+    setColorFeature(defaultColorFeature(loaded.metadata, loaded.headers));
+    setProjectionFeatures(getProjectionFeatures(loaded.metadata));
+    setFeatureWeights({});
+    // the new dataset may have fewer components; a link below can pick others
+    setPcaComponents([0, 1]);
+    setInspectedIndex(null);
+    setCalculatorInputs(defaultInputs(loaded.data, loaded.metadata));
+    setData(loaded.data);
+    setHeaders(loaded.headers);
+    setMetadata(loaded.metadata);
+
+    const link = linkStateRef.current;
+    linkStateRef.current = null;
+    if (link?.missingDataset) {
+      setLoadError(`The linked dataset "${link.missingDataset}" is not available; showing the default instead`);
+    } else if (link) {
+      applyLinkState(link, loaded, link.origin);
+    }
+  };
+
+  // Settings from a shared link or session file, checked against the loaded
+  // dataset. Sessions carry the dataset's hash: if the contents changed, cohorts
+  // defined by criteria are re-evaluated rather than trusting row numbers.
+  const applyLinkState = (link, { data: rows, metadata: meta }, origin = 'Opened link') => {
+    const known = f => f in meta;
+    if (['PCA', 'UMAP', 't-SNE'].includes(link.method)) setClusteringMethod(link.method);
+    if (known(link.colorFeature)) setColorFeature(link.colorFeature);
+    if (link.features) setProjectionFeatures(link.features.filter(known));
+    if (link.weights) setFeatureWeights(link.weights);
+    if (IMPUTATION_STRATEGIES.some(st => st.id === link.imputation)) setImputation(link.imputation);
+    if (link.highlightImputed !== undefined) setHighlightImputed(link.highlightImputed);
+    if (link.umap) setUmapParams({ ...UMAP_DEFAULTS, ...link.umap });
+    if (link.tsne) setTsneParams({ ...TSNE_DEFAULTS, ...link.tsne });
+    if (link.components?.length === 2 && link.components.every(Number.isInteger)) setPcaComponents(link.components);
+    if (link.showBiplot !== undefined) setShowBiplot(link.showBiplot);
+    setScatterAxes({
+      x: known(link.scatterX) ? link.scatterX : DEFAULT_SCATTER_AXES.x,
+      y: known(link.scatterY) ? link.scatterY : DEFAULT_SCATTER_AXES.y
+    });
+    if (link.inputs) setCalculatorInputs({ ...defaultInputs(rows, meta), ...link.inputs });
+    if (link.showIndividual !== undefined) setShowIndividual(link.showIndividual);
+    if (Number.isInteger(link.inspected) && link.inspected < rows.length) setInspectedIndex(link.inspected);
+
+    if (link.notes !== undefined) setSessionNotes(link.notes);
+
+    const changed = !!link.hash && link.hash !== hashDataset(rows);
+    const inRange = indices => indices.filter(i => i < rows.length);
+    const filters = Object.fromEntries(Object.entries(link.filters ?? {}).filter(([f]) => known(f)));
+    const reselect = c => {
+      const result = changed && c.query ? runQuery(c.query, rows, meta) : null;
+      return result?.indices ?? inRange(c.indices);
+    };
+    setPendingSelection({
+      origin,
+      selection: changed && Object.keys(filters).length > 0 ? applyFilters(rows, filters) : inRange(link.selection ?? []),
+      filters,
+      query: link.query ?? null,
+      cohorts: (link.cohorts ?? []).map((c, i) => ({ ...c, id: `c${i + 1}`, indices: reselect(c) }))
+    });
+    if (changed) {
+      setSessionStatus({
+        warning: true,
+        text: 'The dataset differs from the one the session was saved with: cohorts and filters defined by criteria were re-evaluated, others keep their row numbers.'
+      });
+    }
+  };
+
+  // Load whichever dataset is chosen in the selector
+  useEffect(() => {
+    const entry = registry.find(e => e.id === datasetId);
+    if (!entry) return;
+
+    let cancelled = false;
+    setIsLoading(true);
+    const pending = entry.upload
+      ? Promise.resolve(uploadsRef.current.get(entry.id))
+      : loadDataset(entry);
+
+    pending
+      .then(loaded => {
+        if (cancelled) return;
+        setLoadError(null);
+        applyDataset(loaded);
+      })
+      .catch(error => {
+        if (cancelled) return;
+        console.error(`Error loading ${entry.name}:`, error);
+        setLoadError(`Failed to load ${entry.name}: ${error.message}`);
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+    // registry only grows; reloading on its change would refetch the same dataset
+  }, [datasetId]);
+
+  const datasetHash = useMemo(() => (data ? hashDataset(data) : null), [data]);
+
+  // Summary statistics use the same imputed values the projection sees
+  const analysis = useMemo(() => {
+    if (!data || !metadata) return null;
+    // one-hot columns have no single imputed value to write back, so only numeric-coded features
+    const imputable = projectionFeatures.filter(f => metadata[f]?.type !== 'categorical');
+    const result = imputeDataset(data, imputable, imputation);
+    return { ...result, validSet: new Set(result.validIndices) };
+  }, [data, metadata, imputation, projectionFeatures]);
+
+  // The selection and visible cohorts as the summary charts see them: only the
+  // analysis rows, as complete-case analysis leaves out rows the strategy
+  // dropped. Memoized, so the charts' statistics are not recomputed on renders
+  // that change neither.
+  const visibleCohorts = useMemo(() => cohorts.filter(c => c.visible), [cohorts]);
+  const analysedSelection = useMemo(
+    () => (analysis ? selectedIndices.filter(i => analysis.validSet.has(i)) : []),
+    [analysis, selectedIndices]
+  );
+  const analysedCohorts = useMemo(
+    () => (analysis
+      ? visibleCohorts.map(c => ({ ...c, indices: c.indices.filter(i => analysis.validSet.has(i)) }))
+      : []),
+    [analysis, visibleCohorts]
+  );
+
+  // Encoding of the projection features, shared by the inspector's neighbour search
+  const projectionOptions = useMemo(
+    () => (metadata ? encodingOptions(metadata, projectionFeatures, featureWeights, imputation) : null),
+    [metadata, projectionFeatures, featureWeights, imputation]
+  );
+
+  useEffect(() => {
+    document.title = `${dataset?.name ?? 'Cohort'} Analysis Dashboard`;
+  }, [dataset]);
+
+  // Recompute projection (in a worker) when the dataset or clustering method changes.
+  // A newer run, or unmounting, cancels the one in flight.
   useEffect(() => {
-    if (!data) return;
+    if (!data || !metadata || projectionFeatures.length === 0) return;
 
-    const computeProjection = async () => {
-      setIsComputing(true);
+    let superseded = false;
+    setIsComputing(true);
+    setIsStreaming(false);
+    setComputeProgress(null);
+    setComputeError(null);
+    setCacheStatus(null);
+    if (queryRef.current === null) {
+      noteOrigin('New projection');
       setSelectedIndices([]);
+      setHistogramFilters({});
+    }
 
-      const continuousFeatures = ['age', 'cigsPerDay', 'totChol', 'sysBP', 'diaBP',
-                                  'BMI', 'heartRate', 'glucose'];
+    const options = encodingOptions(metadata, projectionFeatures, featureWeights, imputation);
+    if (clusteringMethod === 'UMAP') options.umap = umapParams;
+    if (clusteringMethod === 't-SNE') options.tsne = tsneParams;
 
-      setTimeout(() => {
-        try {
-          setComputeError(null);
-          if (clusteringMethod === 'PCA') {
-            const pcaResult = computePCA(data, continuousFeatures);
-            setProjection(pcaResult.projection);
-            setValidIndices(pcaResult.validIndices);
-            setPcaInfo({
-              varExplained: pcaResult.varExplained,
-              features: pcaResult.features
-            });
-          } else if (clusteringMethod === 'UMAP') {
-            const umapResult = computeUMAP(data, continuousFeatures);
-            setProjection(umapResult.projection);
-            setValidIndices(umapResult.validIndices);
-            setPcaInfo({
-              features: umapResult.features
-            });
+    const key = embeddingKey({
+      datasetHash,
+      method: clusteringMethod,
+      features: projectionFeatures,
+      options
+    });
+
+    let streamed = false;
+    getCachedEmbedding(key)
+      .then(cached => {
+        if (superseded) return null;
+        if (cached) return { ...cached, cached: true };
+        return runProjection(clusteringMethod, data, projectionFeatures, options, {
+          onProgress: (epoch, nEpochs) => setComputeProgress({ epoch, nEpochs }),
+          onFrame: (frame, frameIndices) => {
+            // read through a ref so toggling "Animate" does not restart the run
+            if (!streamLayoutsRef.current) return;
+            streamed = true;
+            setProjection(frame);
+            setValidIndices(frameIndices);
+            setIsStreaming(true);
           }
-        } catch (error) {
-          console.error(`Error computing ${clusteringMethod}:`, error);
-          setComputeError(`Failed to compute ${clusteringMethod}: ${error.message}`);
-        } finally {
-          setIsComputing(false);
+        }).then(result => {
+          putCachedEmbedding(key, result);
+          return result;
+        });
+      })
+      .then(result => {
+        if (!result) return;
+        setProjection(result.projection);
+        setValidIndices(result.validIndices);
+        setImputedIndices(result.imputedIndices);
+        setPcaInfo({
+          varExplained: result.varExplained,
+          eigenvalues: result.eigenvalues,
+          loadings: result.loadings,
+          scores: result.scores,
+          columns: result.columns,
+          features: result.features,
+          weights: featureWeights,
+          params: result.params,
+          model: result.model,
+          encoder: result.encoder,
+          cached: !!result.cached
+        });
+        if (result.scores) {
+          // a smaller feature set may not have the components that were plotted
+          const available = result.varExplained.length;
+          setPcaComponents(prev => (prev.every(k => k < available) ? prev : [0, Math.min(1, available - 1)]));
         }
-      }, 50);
+      })
+      .catch(error => {
+        if (error.name === 'AbortError') {
+          // a newer run replaced this one; only report user cancellations
+          if (superseded) return;
+          setComputeError(error.message);
+          if (!streamed) {
+            // the previous method's layout would be mislabelled
+            setProjection([]);
+            setValidIndices([]);
+          }
+          return;
+        }
+        console.error(`Error computing ${clusteringMethod}:`, error);
+        setComputeError(`Failed to compute ${clusteringMethod}: ${error.message}`);
+      })
+      .finally(() => {
+        if (superseded) return;
+        setIsComputing(false);
+        setIsStreaming(false);
+        setComputeProgress(null);
+      });
+
+    return () => {
+      superseded = true;
+      cancelProjection();
     };
+  }, [clusteringMethod, data, datasetHash, metadata, imputation, umapParams, tsneParams, projectionFeatures, featureWeights]);
+
+  // The selection and cohorts from a link; declared after the projection
+  // effect so they are set after it clears the selection for the new data
+  useEffect(() => {
+    if (!pendingSelection || !data) return;
+    setPendingSelection(null);
+    noteOrigin(pendingSelection.origin);
+    setSelectedIndices(pendingSelection.selection);
+    setHistogramFilters(pendingSelection.filters);
+    setQuery(pendingSelection.query);
+    setCohorts(pendingSelection.cohorts);
+  }, [pendingSelection, data]);
 
-    computeProjection();
-  }, [clusteringMethod, data]);
+  // Keep the URL in step with the view, so it can be bookmarked or shared
+  const defaultView = useMemo(() => (data && metadata ? {
+    method: 'PCA',
+    colorFeature: defaultColorFeature(metadata, headers),
+    features: getProjectionFeatures(metadata),
+    imputation: 'median',
+    umap: UMAP_DEFAULTS,
+    tsne: TSNE_DEFAULTS,
+    components: [0, 1],
+    scatterAxes: DEFAULT_SCATTER_AXES,
+    inputs: defaultInputs(data, metadata)
+  } : null), [data, metadata, headers]);
 
-  const handleBrush = (indices) => {
+  useEffect(() => {
+    if (!defaultView || pendingSelection) return;
+    const search = serializeViewState({
+      // uploads exist only in this browser, so a link cannot name them
+      dataset: dataset?.upload ? null : datasetId,
+      method: clusteringMethod,
+      colorFeature,
+      features: projectionFeatures,
+      weights: featureWeights,
+      imputation,
+      highlightImputed,
+      umap: umapParams,
+      tsne: tsneParams,
+      components: pcaComponents,
+      showBiplot,
+      scatterAxes,
+      selection: selectedIndices,
+      filters: histogramFilters,
+      query,
+      cohorts,
+      inputs: calculatorInputs,
+      showIndividual,
+      inspected: inspectedIndex
+    }, defaultView);
+    const url = `${window.location.pathname}${search ? `?${search}` : ''}${window.location.hash}`;
+    if (url !== `${window.location.pathname}${window.location.search}${window.location.hash}`) {
+      window.history.replaceState(null, '', url);
+    }
+  }, [defaultView, dataset, datasetId, clusteringMethod, colorFeature, projectionFeatures, featureWeights, imputation,
+    highlightImputed, umapParams, tsneParams, pcaComponents, showBiplot, scatterAxes, selectedIndices,
+    histogramFilters, query, cohorts, calculatorInputs, showIndividual, inspectedIndex, pendingSelection]);
+
+  // PCA keeps the scores on every component, so the plotted pair changes without recomputing
+  const plottedProjection = useMemo(() => {
+    if (clusteringMethod !== 'PCA' || !pcaInfo?.scores || isComputing) return projection;
+    const [cx, cy] = pcaComponents;
+    return pcaInfo.scores.map(row => ({ x: row[cx], y: row[cy] ?? 0 }));
+  }, [clusteringMethod, pcaInfo, isComputing, projection, pcaComponents]);
+
+  // Cluster assignments by data index, plus per-cluster rows for the panel
+  const clusterView = useMemo(() => {
+    if (!clusters || !data) return null;
+    const meta = clusterMetadata(clusters.labels);
+    const outcome = getOutcomeFeature(metadata);
+    const assignments = new Map(clusters.validIndices.map((index, r) => [index, clusters.labels[r]]));
+    const groups = meta.domain.map((id, i) => {
+      const indices = clusters.validIndices.filter((_, r) => clusters.labels[r] === id);
+      const known = outcome ? indices.filter(index => data[index][outcome] !== null) : [];
+      return {
+        id,
+        label: meta.labels[id],
+        color: meta.colors[i],
+        indices,
+        outcomeRate: known.length > 0
+          ? (known.filter(index => data[index][outcome] === 1).length / known.length) * 100
+          : null
+      };
+    });
+    return { meta, assignments, groups };
+  }, [clusters, data, metadata]);
+
+  // The calculator's look-alikes, which its risk estimate is based on
+  const calculatorNeighbors = useMemo(
+    () => (data && metadata ? similarIndividuals(data, metadata, calculatorInputs) : null),
+    [data, metadata, calculatorInputs]
+  );
+
+  // Where the calculator's individual falls in the plotted layout: the PCA model
+  // and a fitted UMAP can place it exactly; otherwise (t-SNE, or a UMAP layout
+  // from the cache) it goes to the centre of its plotted look-alikes.
+  useEffect(() => {
+    if (!showIndividual || isComputing || !pcaInfo || plottedProjection.length === 0) {
+      setIndividual(null);
+      return;
+    }
+
+    const neighbourCentre = () => {
+      const row = new Map(validIndices.map((index, i) => [index, i]));
+      const plotted = calculatorNeighbors.filter(index => row.has(index)).map(index => plottedProjection[row.get(index)]);
+      if (plotted.length === 0) return null;
+      return { x: d3.mean(plotted, p => p.x), y: d3.mean(plotted, p => p.y), approximate: true };
+    };
+
+    const vector = pcaInfo.encoder ? encodeRecord(inputsRecord(calculatorInputs), pcaInfo.encoder) : null;
+    let cancelled = false;
+    if (clusteringMethod === 'PCA' && pcaInfo.model && vector) {
+      const [scores] = predictPCA(pcaInfo.model, [vector]);
+      setIndividual({ x: scores[pcaComponents[0]], y: scores[pcaComponents[1]] ?? 0, approximate: false });
+    } else if (clusteringMethod === 'UMAP' && vector) {
+      transformPoints([vector])
+        .then(embedding => {
+          if (cancelled) return;
+          setIndividual(embedding
+            ? { x: embedding[0][0], y: embedding[0][1], approximate: false }
+            : neighbourCentre());
+        })
+        .catch(error => {
+          if (cancelled || error.name === 'AbortError') return;
+          console.error('Error placing the individual with UMAP:', error);
+          setIndividual(neighbourCentre());
+        });
+    } else {
+      setIndividual(neighbourCentre());
+    }
+
+    return () => {
+      cancelled = true;
+    };
+  }, [showIndividual, isComputing, pcaInfo, plottedProjection, validIndices, clusteringMethod, pcaComponents, calculatorInputs, calculatorNeighbors]);
+
+  const viewMetadata = useMemo(
+    () => (clusterView ? { ...metadata, [CLUSTER_FEATURE]: clusterView.meta } : metadata),
+    [metadata, clusterView]
+  );
+
+  // The embedding as plotted, e.g. "UMAP" or "PC1/PC3"; none while it is being computed
+  const embeddingLabel = isComputing || plottedProjection.length === 0
+    ? null
+    : clusteringMethod === 'PCA'
+      ? pcaComponents.map(k => `PC${k + 1}`).join('/')
+      : clusteringMethod;
+
+  // Clusters are dropped once they no longer describe what is plotted: those
+  // on the embedding when the projection changes, any when the features do
+  useEffect(() => {
+    cancelClustering();
+    setClusters(current => (current?.params.space === 'embedding' ? null : current));
+  }, [clusteringMethod, umapParams, tsneParams, pcaComponents]);
+  useEffect(() => {
+    cancelClustering();
+    setClusters(null);
+  }, [projectionFeatures, featureWeights, imputation]);
+  // colouring by cluster falls back to the default once the clusters are gone
+  useEffect(() => {
+    if (!clusters && colorFeature === CLUSTER_FEATURE) setColorFeature(defaultColorFeature(metadata, headers));
+  }, [clusters, colorFeature, metadata, headers]);
+
+  const handleRunClustering = (settings) => {
+    const run = ++clusteringRunRef.current;
+    setIsClustering(true);
+    setClusteringError(null);
+    runClustering({
+      space: settings.space,
+      params: settings,
+      data,
+      features: projectionFeatures,
+      options: encodingOptions(metadata, projectionFeatures, featureWeights, imputation),
+      embedding: plottedProjection,
+      validIndices
+    })
+      .then(result => setClusters({ ...result, params: settings, embeddingLabel }))
+      .catch(error => {
+        if (error.name === 'AbortError') return;
+        console.error('Error clustering:', error);
+        setClusteringError(`Clustering failed: ${error.message}`);
+      })
+      .finally(() => {
+        if (run === clusteringRunRef.current) setIsClustering(false);
+      });
+  };
+
+  const handleSaveSession = () => {
+    const session = createSession({
+      dataset: { id: dataset?.upload ? null : datasetId, name: dataset?.name ?? null, rows: data.length, hash: datasetHash },
+      view: {
+        method: clusteringMethod,
+        colorFeature,
+        features: projectionFeatures,
+        weights: featureWeights,
+        imputation,
+        highlightImputed,
+        umap: umapParams,
+        tsne: tsneParams,
+        components: pcaComponents,
+        showBiplot,
+        scatterAxes
+      },
+      selection: { indices: selectedIndices, filters: histogramFilters, query },
+      cohorts,
+      calculator: { inputs: calculatorInputs, showIndividual },
+      notes: sessionNotes
+    });
+    downloadFile(sessionFileName(dataset?.name), serializeSession(session), 'application/json');
+  };
+
+  // A session opens on its own dataset: a registry dataset is switched to,
+  // an upload has to be loaded again first (it is recognised by its hash)
+  const handleOpenSession = async (file) => {
+    let session;
+    try {
+      session = readSession(await file.text());
+    } catch (error) {
+      setSessionStatus({ error: true, text: `Could not open ${file.name}: ${error.message}` });
+      return;
+    }
+    const view = sessionView(session);
+    const entry = registry.find(e => e.id === view.dataset);
+    setSessionStatus({ text: `Opened ${file.name}, saved ${new Date(session.savedAt).toLocaleString()}` });
+    if (entry && entry.id !== datasetId) {
+      linkStateRef.current = { ...view, origin: 'Opened session' };
+      setDatasetId(entry.id);
+    } else if (entry || view.hash === datasetHash) {
+      applyLinkState(view, { data, metadata }, 'Opened session');
+    } else {
+      setSessionStatus({
+        error: true,
+        text: `${file.name} is for ${session.dataset.name ?? 'another dataset'} (${session.dataset.rows} rows); load that file first, then open the session again`
+      });
+    }
+  };
+
+  const handleDictionaryFile = async (file) => {
+    const dictionary = JSON.parse(await file.text());
+    const meta = resolveMetadata(data, headers, dictionary, dataset?.outcome);
+    if (dataset?.upload) {
+      uploadsRef.current.set(dataset.id, { data, headers, metadata: meta });
+    }
+    setMetadata(meta);
+    setProjectionFeatures(getProjectionFeatures(meta));
+    setFeatureWeights({});
+    setLoadError(null);
+  };
+
+  const handleFile = async (file) => {
+    if (!file) return;
+    try {
+      // A JSON file dropped on a loaded dataset is a saved session or its data dictionary
+      if (file.name.toLowerCase().endsWith('.json')) {
+        let json = null;
+        try {
+          json = JSON.parse(await file.text());
+        } catch {
+          // reported by the dictionary loader below
+        }
+        if (isSessionFile(json)) await handleOpenSession(file);
+        else await handleDictionaryFile(file);
+        return;
+      }
+      const { data: loadedData, headers: loadedHeaders } = await loadCohortFile(file);
+      const loaded = {
+        data: loadedData,
+        headers: loadedHeaders,
+        metadata: inferFeatureMetadata(loadedData, loadedHeaders)
+      };
+      const id = `upload:${file.name}`;
+      uploadsRef.current.set(id, loaded);
+      setRegistry(prev => [
+        ...prev.filter(e => e.id !== id),
+        { id, name: file.name, description: 'Uploaded file', upload: true }
+      ]);
+      setLoadError(null);
+      if (id === datasetId) {
+        applyDataset(loaded);
+      } else {
+        setDatasetId(id);
+      }
+    } catch (error) {
+      console.error(`Error loading ${file.name}:`, error);
+      setLoadError(`Failed to load ${file.name}: ${error.message}`);
+    }
+  };
+
+  const handleDragOver = (e) => {
+    e.preventDefault();
+    setIsDragging(true);
+  };
+
+  const handleDrop = (e) => {
+    e.preventDefault();
+    setIsDragging(false);
+    handleFile(e.dataTransfer.files[0]);
+  };
+
+  // Re-apply a live query whenever the data or its dictionary changes
+  useEffect(() => {
+    if (query === null || !data || !metadata) return;
+    const result = runQuery(query, data, metadata);
+    if (result.error) {
+      setQueryError(new Error(`The query no longer applies to this dataset: ${result.error.message}`));
+      setSelectedIndices([]);
+    } else {
+      setQueryError(null);
+      setSelectedIndices(result.indices);
+    }
+  }, [query, data, metadata]);
+
+  // Record every change of the selection or cohorts in the history
+  useEffect(() => {
+    const state = { selectedIndices, histogramFilters, query, cohorts };
+    const { label, merge } = originRef.current;
+    setHistory(h => (sameSnapshot(h.entries[h.index]?.state, state)
+      ? h
+      : pushEntry(h, { label: h.entries.length > 0 ? label : 'Start', size: selectedIndices.length, state }, merge)));
+  }, [selectedIndices, histogramFilters, query, cohorts]);
+
+  const handleHistoryMove = (index) => {
+    const entry = history.entries[index];
+    if (!entry) return;
+    setHistory(moveTo(history, index));
+    setSelectedIndices(entry.state.selectedIndices);
+    setHistogramFilters(entry.state.histogramFilters);
+    setQuery(entry.state.query);
+    setCohorts(entry.state.cohorts);
+  };
+
+  // Ctrl+Z / Ctrl+Shift+Z (or Ctrl+Y), except while typing in a field. The
+  // listener stays put and reads the handler of the latest render.
+  historyKeysRef.current = (e) => {
+    if (!(e.ctrlKey || e.metaKey) || /^(INPUT|TEXTAREA|SELECT)$/.test(e.target.tagName)) return;
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) handleHistoryMove(history.index - 1);
+    else if ((key === 'z' && e.shiftKey) || key === 'y') handleHistoryMove(history.index + 1);
+    else return;
+    e.preventDefault();
+  };
+  useEffect(() => {
+    const handleKeyDown = (e) => historyKeysRef.current(e);
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
+
+  // only setters and the origin ref, so it can stay the same between renders
+  const handleBrush = useCallback((indices, origin = 'Selection') => {
+    noteOrigin(origin);
+    setQuery(null);
+    setHistogramFilters({});
     setSelectedIndices(indices);
+  }, []);
+
+  // the projection rebuilds its selection tools when this changes
+  const handleProjectionBrush = useCallback(
+    (indices) => handleBrush(indices, `${clusteringMethod} selection`),
+    [handleBrush, clusteringMethod]
+  );
+
+  // Histogram brushes replace any other selection and combine with each other
+  const handleFilterChange = (feature, filter) => {
+    const next = { ...histogramFilters };
+    if (filter) next[feature] = filter;
+    else delete next[feature];
+    noteOrigin(`${filter ? 'Filter' : 'Cleared filter'}: ${metadata[feature].label}`);
+    setQuery(null);
+    setHistogramFilters(next);
+    setSelectedIndices(Object.keys(next).length > 0 ? applyFilters(data, next) : []);
+  };
+
+  const handleApplyQuery = (text) => {
+    noteOrigin(`Query: ${text}`);
+    setHistogramFilters({});
+    setQuery(text);
+    // select the rows now too, so the query and its rows are one history entry
+    const result = runQuery(text, data, metadata);
+    if (!result.error) setSelectedIndices(result.indices);
+  };
+
+  const handleSaveSelection = () => {
+    noteOrigin('Saved cohort');
+    setCohorts([...cohorts, createCohort(cohorts, { description: query ?? '', indices: selectedIndices, query })]);
+  };
+
+  const handleSaveCluster = (group, description) => {
+    noteOrigin(`Saved ${group.label}`);
+    setCohorts([...cohorts, createCohort(cohorts, { name: group.label, description, indices: group.indices })]);
+  };
+
+  const handleCombineCohorts = (description, indices, combinedQuery) => {
+    noteOrigin('Combined cohorts');
+    setCohorts([...cohorts, createCohort(cohorts, { description, indices, query: combinedQuery })]);
+  };
+
+  // edits to one cohort in a row undo together
+  const handleUpdateCohort = (id, changes) => {
+    noteOrigin(`Edited ${cohorts.find(c => c.id === id).name}`, true);
+    setCohorts(updateCohort(cohorts, id, changes));
   };
 
-  const handlePin = () => {
-    setPinnedIndices([...selectedIndices]);
+  const handleDeleteCohort = (id) => {
+    noteOrigin(`Deleted ${cohorts.find(c => c.id === id).name}`);
+    setCohorts(deleteCohort(cohorts, id));
   };
 
-  const handleClearPin = () => {
-    setPinnedIndices([]);
+  const handleStopQuery = () => {
+    noteOrigin('Stopped query');
+    setQuery(null);
   };
 
   const handleClearSelection = () => {
+    noteOrigin('Cleared selection');
+    setQuery(null);
+    setHistogramFilters({});
     setSelectedIndices([]);
   };
 
+  const handleLoadIntoCalculator = (index) => {
+    setCalculatorInputs(recordInputs(data[index], data, metadata));
+  };
+
+  const handleExport = (indices, name, format, options) => {
+    const rows = indices ?? data.map((_, i) => i);
+    const columns = exportColumns(rows, {
+      data,
+      headers,
+      metadata,
+      imputed: analysis.data,
+      projection: embeddingLabel && {
+        label: embeddingLabel.replace('/', '_'),
+        points: new Map(validIndices.map((index, i) => [index, plottedProjection[i]]))
+      },
+      clusters: clusterView && new Map([...clusterView.assignments].map(([index, id]) => [index, clusterView.meta.labels[id]])),
+      cohorts
+    }, options);
+    const type = EXPORT_FORMATS.find(f => f.id === format).type;
+    downloadFile(exportFileName(dataset?.name, name, format), encodeColumns(columns, format), type);
+  };
+
+  // Summaries use the analysis rows, as the Subgroup Summary panel does
+  const handleExportSummary = (format) => {
+    const analysed = indices => indices.filter(i => analysis.validSet.has(i));
+    const groups = [
+      ...(selectedIndices.length > 0 ? [{ name: 'Selection', indices: analysed(selectedIndices) }] : []),
+      ...cohorts.filter(c => c.visible).map(c => ({ name: c.name, indices: analysed(c.indices) })),
+      { name: 'All participants', indices: analysis.validIndices }
+    ];
+    const type = EXPORT_FORMATS.find(f => f.id === format).type;
+    downloadFile(exportFileName(dataset?.name, 'summary', format), encodeColumns(summaryColumns(analysis.data, groups, metadata), format), type);
+  };
+
   if (!data || !metadata) {
     return (
       <div style={{
@@ -110,45 +885,163 @@ export default function App() {
         fontSize: '18px',
         color: '#666'
       }}>
-        Loading Framingham dataset...
+        {loadError || `Loading ${dataset?.name ?? 'dataset'}...`}
       </div>
     );
   }
 
-  const features = [
-    'male', 'age', 'education', 'currentSmoker', 'cigsPerDay',
-    'BPMeds', 'prevalentStroke', 'prevalentHyp', 'diabetes',
-    'totChol', 'sysBP', 'diaBP', 'BMI', 'heartRate', 'glucose', 'TenYearCHD'
-  ];
+  // How the individual was placed, shown under the calculator
+  const unasked = projectionFeatures.filter(f => !(f in calculatorInputs));
+  let individualNote = null;
+  if (individual?.approximate) {
+    individualNote = `Approximate position: the centre of the ${SIMILAR_INDIVIDUALS} similar individuals (${
+      clusteringMethod === 't-SNE' ? 't-SNE cannot place new points' : 'no fitted UMAP model is available for a cached layout'
+    }).`;
+  } else if (individual && unasked.length > 0) {
+    individualNote = `Not asked by the calculator, so set to the cohort average: ${unasked.map(f => metadata[f].label).join(', ')}.`;
+  }
+
+  // Free-text and identifier columns have no meaningful distribution
+  const features = headers.filter(h => metadata[h] && metadata[h].type !== 'text');
+  const outcome = getOutcomeFeature(metadata);
 
   return (
-    <div className="app">
+    <div
+      className={`app${isDragging ? ' app-dragging' : ''}`}
+      onDragOver={handleDragOver}
+      onDragLeave={() => setIsDragging(false)}
+      onDrop={handleDrop}
+    >
       <header className="header">
         <div className="header-content">
-          <h1>Framingham Heart Study: Cohort Analysis Dashboard</h1>
-          <p>Interactive multi-view exploration of cardiovascular risk factors</p>
+          <h1>{dataset?.name ?? 'Cohort'}: Cohort Analysis Dashboard</h1>
+          {dataset?.description && <p>{dataset.description}</p>}
         </div>
       </header>
 
       <div className="controls">
         <div className="control-group">
-          <label>Clustering Method:</label>
-          <select value={clusteringMethod} onChange={(e) => setClusteringMethod(e.target.value)} disabled={isComputing}>
+          <label>Dataset:</label>
+          <select
+            value={datasetId ?? ''}
+            onChange={(e) => setDatasetId(e.target.value)}
+            disabled={isLoading}
+          >
+            {registry.map(entry => (
+              <option key={entry.id} value={entry.id}>{entry.name}</option>
+            ))}
+          </select>
+          <label className="file-button">
+            Load CSV/TSV...
+            <input
+              type="file"
+              accept=".csv,.tsv,.txt,.json,text/csv,text/tab-separated-values,application/json"
+              onChange={(e) => handleFile(e.target.files[0])}
+            />
+          </label>
+          {loadError && (
+            <div style={{ color: 'red', fontSize: '12px', marginTop: '5px' }}>
+              {loadError}
+            </div>
+          )}
+        </div>
+        <div className="control-group">
+          <button onClick={handleSaveSession} title="Download the current analysis as a session file">
+            Save Session
+          </button>
+          <label className="file-button">
+            Open Session...
+            <input
+              type="file"
+              accept=".json,application/json"
+              onChange={(e) => {
+                handleOpenSession(e.target.files[0]);
+                e.target.value = '';
+              }}
+            />
+          </label>
+          {sessionStatus && (
+            <div style={{
+              color: sessionStatus.error ? 'red' : sessionStatus.warning ? '#e67e22' : '#555',
+              fontSize: '12px',
+              marginTop: '5px',
+              maxWidth: '360px'
+            }}>
+              {sessionStatus.text}
+            </div>
+          )}
+        </div>
+        <div className="control-group">
+          <label>Projection:</label>
+          <select value={clusteringMethod} onChange={(e) => setClusteringMethod(e.target.value)}>
             <option value="PCA">PCA</option>
             <option value="UMAP">UMAP</option>
+            <option value="t-SNE">t-SNE</option>
           </select>
+          <label className="checkbox-label">
+            <input
+              type="checkbox"
+              checked={streamLayouts}
+              onChange={(e) => setStreamLayouts(e.target.checked)}
+            />
+            Animate
+          </label>
+          <button
+            className="link-button"
+            onClick={() => clearEmbeddingCache().then(cleared => setCacheStatus(cleared
+              ? { error: false, text: 'Cache cleared' }
+              : { error: true, text: 'Could not clear the cache' }))}
+            title="Forget all stored embeddings; the next projection is recomputed"
+          >
+            Clear cache
+          </button>
+          {cacheStatus && (
+            <span style={{ color: cacheStatus.error ? 'red' : '#666', fontSize: '12px' }}>{cacheStatus.text}</span>
+          )}
           {computeError && (
             <div style={{ color: 'red', fontSize: '12px', marginTop: '5px' }}>
               {computeError}
             </div>
           )}
         </div>
+        {clusteringMethod === 'UMAP' && (
+          <ProjectionParams fields={UMAP_FIELDS} values={umapParams} onApply={setUmapParams} />
+        )}
+        {clusteringMethod === 't-SNE' && (
+          <ProjectionParams fields={TSNE_FIELDS} values={tsneParams} onApply={setTsneParams} />
+        )}
+        <FeaturePicker
+          metadata={metadata}
+          features={projectionFeatures}
+          weights={featureWeights}
+          onApply={(features, weights) => {
+            setProjectionFeatures(features);
+            setFeatureWeights(weights);
+          }}
+        />
+        <div className="control-group">
+          <label>Missing values:</label>
+          <select value={imputation} onChange={(e) => setImputation(e.target.value)}>
+            {IMPUTATION_STRATEGIES.map(s => (
+              <option key={s.id} value={s.id}>{s.label}</option>
+            ))}
+          </select>
+          <label className="checkbox-label">
+            <input
+              type="checkbox"
+              checked={highlightImputed}
+              onChange={(e) => setHighlightImputed(e.target.checked)}
+            />
+            Highlight imputed
+          </label>
+        </div>
         <div className="control-group">
           <label>Color by:</label>
           <select value={colorFeature} onChange={(e) => setColorFeature(e.target.value)}>
             {features.map(f => (
               <option key={f} value={f}>{metadata[f].label}</option>
             ))}
+            {clusterView && <option value={CLUSTER_FEATURE}>Cluster</option>}
           </select>
         </div>
         <div style={{ display: 'flex', alignItems: 'center', gap: '20px', marginLeft: 'auto' }}>
@@ -156,27 +1049,40 @@ export default function App() {
             {selectedIndices.length > 0 && (
               <span>Selected: {selectedIndices.length} participants</span>
             )}
-            {pinnedIndices.length > 0 && (
-              <span style={{ marginLeft: '15px' }}>Pinned: {pinnedIndices.length} participants</span>
+            {cohorts.length > 0 && (
+              <span style={{ marginLeft: '15px' }}>Cohorts: {cohorts.length}</span>
             )}
           </div>
           <div className="control-group">
-            <button onClick={handlePin} disabled={selectedIndices.length === 0}>
-              Pin Selection
-            </button>
-            <button onClick={handleClearPin} disabled={pinnedIndices.length === 0}>
-              Clear Pin
+            <button onClick={handleSaveSelection} disabled={selectedIndices.length === 0}>
+              Save as Cohort
             </button>
             <button onClick={handleClearSelection} disabled={selectedIndices.length === 0}>
               Clear Selection
             </button>
+            <button
+              onClick={() => navigator.clipboard.writeText(window.location.href)
+                .catch(error => console.error('Error copying link:', error))}
+              title="Copy a link that reopens the dashboard as it is now"
+            >
+              Copy Link
+            </button>
           </div>
         </div>
       </div>
 
+      <HistoryBar history={history} onMove={handleHistoryMove} />
+
       <div className="dashboard">
         <div className="panel panel-left">
-          <h2>Feature Distributions</h2>
+          <div style={{ display: 'flex', alignItems: 'baseline', justifyContent: 'space-between' }}>
+            <h2>Feature Distributions</h2>
+            {Object.keys(histogramFilters).length > 0 && (
+              <button className="link-button" onClick={handleClearSelection}>
+                Clear {Object.keys(histogramFilters).length} filter{Object.keys(histogramFilters).length > 1 ? 's' : ''}
+              </button>
+            )}
+          </div>
           <div className="feature-grid">
             {features.map(feature => (
               <div key={feature} className="feature-item">
@@ -185,7 +1091,8 @@ export default function App() {
                   feature={feature}
                   metadata={metadata}
                   selectedIndices={selectedIndices}
-                  onBrush={handleBrush}
+                  filter={histogramFilters[feature] ?? null}
+                  onFilterChange={handleFilterChange}
                 />
               </div>
             ))}
@@ -196,47 +1103,177 @@ export default function App() {
           <div className="panel panel-center">
             <PCAView
               data={data}
-              projection={projection}
+              projection={plottedProjection}
               validIndices={validIndices}
               colorFeature={colorFeature}
-              metadata={metadata}
+              metadata={viewMetadata}
               selectedIndices={selectedIndices}
-              onBrush={handleBrush}
+              onBrush={handleProjectionBrush}
               pcaInfo={pcaInfo}
               clusteringMethod={clusteringMethod}
               isComputing={isComputing}
+              isStreaming={isStreaming}
+              progress={computeProgress}
+              onCancel={cancelProjection}
+              imputedIndices={highlightImputed ? imputedIndices : NO_INDICES}
+              components={pcaComponents}
+              showBiplot={showBiplot}
+              clusterAssignments={clusterView?.assignments}
+              inspectedIndex={inspectedIndex}
+              onInspect={setInspectedIndex}
+              individual={individual}
+              highlightedIndices={individual ? calculatorNeighbors : null}
+            />
+          </div>
+
+          <div className="panel">
+            <h2>Cohort Query</h2>
+            <QueryBuilder
+              key={dataset?.id}
+              data={data}
+              metadata={metadata}
+              query={query}
+              error={queryError}
+              matchCount={selectedIndices.length}
+              onApply={handleApplyQuery}
+              onClear={handleStopQuery}
+            />
+          </div>
+
+          <div className="panel">
+            <h2>Cohorts</h2>
+            <CohortManager
+              cohorts={cohorts}
+              selectedIndices={selectedIndices}
+              query={query}
+              total={data.length}
+              onSaveSelection={handleSaveSelection}
+              onCreate={handleCombineCohorts}
+              onUpdate={handleUpdateCohort}
+              onDelete={handleDeleteCohort}
+              onSelect={(indices, name) => handleBrush(indices, `Cohort: ${name}`)}
+            />
+          </div>
+
+          <div className="panel">
+            <h2>Export</h2>
+            <ExportPanel
+              cohorts={cohorts}
+              selectedIndices={selectedIndices}
+              total={data.length}
+              available={{
+                labels: true,
+                imputed: analysis.imputedIndices.length > 0,
+                projection: !!embeddingLabel,
+                clusters: !!clusterView,
+                membership: cohorts.length > 0
+              }}
+              onExport={handleExport}
+              onExportSummary={handleExportSummary}
             />
           </div>
 
+          <div className="panel">
+            <h2>Clustering</h2>
+            <ClusteringPanel
+              clusters={clusters && clusterView ? { ...clusters, groups: clusterView.groups } : null}
+              isRunning={isClustering}
+              error={clusteringError}
+              onRun={handleRunClustering}
+              onCancel={cancelClustering}
+              onSelect={(indices, label) => handleBrush(indices, `Cluster: ${label}`)}
+              onSave={handleSaveCluster}
+              embeddingLabel={embeddingLabel}
+              outcomeLabel={outcome ? metadata[outcome].label : null}
+            />
+          </div>
+
+          {clusteringMethod === 'PCA' && pcaInfo?.loadings && (
+            <div className="panel">
+              <h2>PCA Diagnostics</h2>
+              <PCADiagnostics
+                pcaInfo={pcaInfo}
+                metadata={metadata}
+                components={pcaComponents}
+                onComponentsChange={setPcaComponents}
+                showBiplot={showBiplot}
+                onShowBiplotChange={setShowBiplot}
+              />
+            </div>
+          )}
+
           <div className="panel-center-bottom">
             <div className="panel-center-bottom-left">
               <ScatterComparison
                 data={data}
                 selectedIndices={selectedIndices}
-                pinnedIndices={pinnedIndices}
+                cohorts={visibleCohorts}
                 metadata={metadata}
+                axes={scatterAxes}
+                onAxesChange={setScatterAxes}
+                inspectedIndex={inspectedIndex}
+                onInspect={setInspectedIndex}
               />
             </div>
             <div className="panel-center-bottom-right">
               <PersonalRiskCalculator
                 data={data}
                 metadata={metadata}
+                inputs={calculatorInputs}
+                onInputsChange={setCalculatorInputs}
+                neighbors={calculatorNeighbors}
+                showInProjection={showIndividual}
+                onShowInProjectionChange={setShowIndividual}
+                projectionNote={individualNote}
+                onSelectNeighbors={() => handleBrush(calculatorNeighbors, 'Similar individuals')}
               />
             </div>
           </div>
         </div>
 
         <div className="panel panel-right">
+          {inspectedIndex !== null && data[inspectedIndex] && (
+            <div style={{ marginBottom: '20px' }}>
+              <RecordInspector
+                data={data}
+                metadata={metadata}
+                index={inspectedIndex}
+                features={projectionFeatures}
+                options={projectionOptions}
+                onInspect={setInspectedIndex}
+                onLoadIntoCalculator={handleLoadIntoCalculator}
+                onClose={() => setInspectedIndex(null)}
+              />
+            </div>
+          )}
           <SubgroupSummary
-            data={data}
-            selectedIndices={selectedIndices}
+            data={analysis.data}
+            selectedIndices={analysedSelection}
             metadata={metadata}
           />
           <div style={{ marginTop: '20px' }}>
             <SubgroupComparison
-              data={data}
-              selectedIndices={selectedIndices}
-              pinnedIndices={pinnedIndices}
+              data={analysis.data}
+              metadata={metadata}
+              cohortIndices={analysis.validIndices}
+              selectedIndices={analysedSelection}
+              cohorts={analysedCohorts}
+            />
+          </div>
+          <MissingDataPanel
+            data={data}
+            headers={headers}
+            metadata={metadata}
+            onBrush={(indices) => handleBrush(indices, 'Missing data')}
+          />
+          <div style={{ marginTop: '20px' }}>
+            <h3 style={{ marginTop: 0, marginBottom: '8px', fontSize: '16px', fontWeight: 'bold' }}>Notes</h3>
+            <textarea
+              value={sessionNotes}
+              onChange={(e) => setSessionNotes(e.target.value)}
+              rows={5}
+              placeholder="Notes are saved with the session"
+              style={{ width: '100%', boxSizing: 'border-box', fontSize: '12px' }}
             />
           </div>
         </div>
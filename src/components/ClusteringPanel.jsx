@@ -0,0 +1,191 @@
+import { useState, useEffect, useRef } from 'react';
+import * as d3 from 'd3';
+import { CLUSTERING_ALGORITHMS, CLUSTERING_DEFAULTS } from '../utils/clustering';
+
+export default function ClusteringPanel({
+  clusters,
+  isRunning,
+  error,
+  onRun,
+  onCancel,
+  onSelect,
+  onSave,
+  embeddingLabel,
+  outcomeLabel
+}) {
+  const [settings, setSettings] = useState(CLUSTERING_DEFAULTS);
+  const svgRef = useRef();
+  // read when a bar is clicked, so a new handler from the parent does not redraw the chart
+  const onRunRef = useRef(onRun);
+  onRunRef.current = onRun;
+  const usesK = settings.algorithm !== 'dbscan';
+
+  const update = (key, value) => setSettings({ ...settings, [key]: value });
+  const numberInput = (key, props) => (
+    <input
+      type="number"
+      value={Number.isFinite(settings[key]) ? settings[key] : ''}
+      onChange={(e) => update(key, e.target.valueAsNumber)}
+      style={{ width: '55px', fontSize: '12px' }}
+      {...props}
+    />
+  );
+  const description = clusters
+    ? `${CLUSTERING_ALGORITHMS.find(a => a.id === clusters.params.algorithm)?.label} on ${
+      clusters.params.space === 'embedding' ? `the ${clusters.embeddingLabel} embedding` : 'standardized features'}`
+    : '';
+  const isValid = usesK
+    ? Number.isInteger(settings.k) && settings.k >= 2
+    : settings.eps > 0 && Number.isInteger(settings.minPts) && settings.minPts >= 1;
+
+  // Silhouette by k, to help pick the number of clusters; click a bar to use that k
+  useEffect(() => {
+    const svg = d3.select(svgRef.current);
+    svg.selectAll('*').remove();
+    const sweep = clusters?.sweep?.filter(s => s.silhouette !== null);
+    if (!sweep || sweep.length === 0) return;
+
+    const width = 260;
+    const height = 110;
+    const margin = { top: 18, right: 10, bottom: 22, left: 32 };
+    const innerWidth = width - margin.left - margin.right;
+    const innerHeight = height - margin.top - margin.bottom;
+
+    svg.attr('width', width).attr('height', height);
+
+    svg.append('text')
+      .attr('x', margin.left)
+      .attr('y', 11)
+      .style('font-size', '10px')
+      .style('font-weight', 'bold')
+      .text('Silhouette by k (click to use)');
+
+    const g = svg.append('g')
+      .attr('transform', `translate(${margin.left},${margin.top})`);
+
+    const x = d3.scaleBand()
+      .domain(sweep.map(s => s.k))
+      .range([0, innerWidth])
+      .padding(0.2);
+
+    const y = d3.scaleLinear()
+      .domain([Math.min(0, d3.min(sweep, s => s.silhouette)), Math.max(0.1, d3.max(sweep, s => s.silhouette))])
+      .nice()
+      .range([innerHeight, 0]);
+
+    const best = d3.greatest(sweep, s => s.silhouette);
+
+    g.selectAll('rect')
+      .data(sweep)
+      .join('rect')
+      .attr('x', s => x(s.k))
+      .attr('y', s => y(Math.max(0, s.silhouette)))
+      .attr('width', x.bandwidth())
+      .attr('height', s => Math.abs(y(s.silhouette) - y(0)))
+      .attr('fill', s => (s.k === clusters.params.k ? '#2c3e50' : s === best ? '#27ae60' : '#95a5a6'))
+      .style('cursor', 'pointer')
+      .on('click', (event, s) => {
+        const next = { ...clusters.params, k: s.k };
+        setSettings(next);
+        onRunRef.current(next);
+      })
+      .append('title')
+      .text(s => `k = ${s.k}: silhouette ${s.silhouette.toFixed(3)}`);
+
+    g.append('g')
+      .attr('transform', `translate(0,${innerHeight})`)
+      .call(d3.axisBottom(x))
+      .selectAll('text')
+      .style('font-size', '9px');
+
+    g.append('g')
+      .call(d3.axisLeft(y).ticks(3))
+      .selectAll('text')
+      .style('font-size', '9px');
+  }, [clusters]);
+
+  return (
+    <div style={{ fontSize: '12px' }}>
+      <div className="control-group" style={{ flexWrap: 'wrap', marginBottom: '8px' }}>
+        <select value={settings.algorithm} onChange={(e) => update('algorithm', e.target.value)}>
+          {CLUSTERING_ALGORITHMS.map(a => (
+            <option key={a.id} value={a.id}>{a.label}</option>
+          ))}
+        </select>
+        <select value={settings.space} onChange={(e) => update('space', e.target.value)}>
+          <option value="features">on standardized features</option>
+          <option value="embedding" disabled={!embeddingLabel}>
+            on the {embeddingLabel ?? ''} embedding
+          </option>
+        </select>
+        {usesK ? (
+          <label className="checkbox-label">k {numberInput('k', { min: 2, max: 30, step: 1 })}</label>
+        ) : (
+          <>
+            <label className="checkbox-label" title="Neighbourhood radius, in the units of the clustered space">
+              eps {numberInput('eps', { min: 0, step: 0.05 })}
+            </label>
+            <label className="checkbox-label" title="Neighbours needed for a core point">
+              min points {numberInput('minPts', { min: 1, step: 1 })}
+            </label>
+          </>
+        )}
+        {isRunning ? (
+          <button onClick={onCancel}>Cancel</button>
+        ) : (
+          <button onClick={() => onRun(settings)} disabled={!isValid}>Run</button>
+        )}
+      </div>
+
+      {isRunning && <div style={{ color: '#666' }}>Clustering...</div>}
+      {error && <div style={{ color: 'red' }}>{error}</div>}
+
+      {clusters && (
+        <>
+          <div style={{ color: '#555', marginBottom: '6px' }}>
+            {description}: silhouette {clusters.silhouette !== null ? clusters.silhouette.toFixed(3) : 'n/a'}
+          </div>
+          <svg ref={svgRef}></svg>
+          <table style={{ borderCollapse: 'collapse', marginTop: '6px' }}>
+            <thead>
+              <tr style={{ color: '#666', textAlign: 'left' }}>
+                <th style={{ padding: '2px 6px' }}>Cluster</th>
+                <th style={{ padding: '2px 6px' }}>n</th>
+                {outcomeLabel && <th style={{ padding: '2px 6px' }}>{outcomeLabel} %</th>}
+                <th></th>
+              </tr>
+            </thead>
+            <tbody>
+              {clusters.groups.map(group => (
+                <tr key={group.id}>
+                  <td style={{ padding: '2px 6px', whiteSpace: 'nowrap' }}>
+                    <span style={{
+                      display: 'inline-block',
+                      width: '10px',
+                      height: '10px',
+                      borderRadius: '50%',
+                      marginRight: '6px',
+                      backgroundColor: group.color
+                    }}></span>
+                    {group.label}
+                  </td>
+                  <td style={{ padding: '2px 6px', textAlign: 'right' }}>{group.indices.length}</td>
+                  {outcomeLabel && (
+                    <td style={{ padding: '2px 6px', textAlign: 'right' }}>
+                      {group.outcomeRate !== null ? group.outcomeRate.toFixed(1) : '-'}
+                    </td>
+                  )}
+                  <td style={{ padding: '2px 6px', whiteSpace: 'nowrap' }}>
+                    <button className="link-button" onClick={() => onSelect(group.indices, group.label)}>Select</button>
+                    {' '}
+                    <button className="link-button" onClick={() => onSave(group, description)}>Save</button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </>
+      )}
+    </div>
+  );
+}
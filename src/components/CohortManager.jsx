@@ -0,0 +1,182 @@
+import { useState } from 'react';
+import { SET_OPERATIONS, combineIndices, describeOperation, combineQueries } from '../utils/cohorts';
+
+const cellStyle = { padding: '3px 6px', verticalAlign: 'middle' };
+const textInputStyle = { width: '100%', fontSize: '12px', padding: '2px 4px', border: '1px solid #ddd', borderRadius: '3px' };
+
+// Names and descriptions are committed on blur or Enter, so the charts do not
+// redraw on every keystroke
+function EditableText({ value, placeholder, required = false, onCommit }) {
+  const commit = (e) => {
+    const next = e.target.value.trim();
+    if (required && !next) {
+      e.target.value = value;
+    } else if (next !== value) {
+      onCommit(next);
+    }
+  };
+  return (
+    <input
+      key={value}
+      type="text"
+      defaultValue={value}
+      placeholder={placeholder}
+      onBlur={commit}
+      onKeyDown={(e) => {
+        if (e.key === 'Enter') e.target.blur();
+      }}
+      style={textInputStyle}
+    />
+  );
+}
+
+// Operands for the set operations: the live selection and every saved cohort,
+// with the query each was defined by, if any
+function operandsOf(cohorts, selectedIndices, query) {
+  return [
+    { key: 'selection', label: 'Selection', term: `selection of ${selectedIndices.length}`, indices: selectedIndices, query },
+    ...cohorts.map(c => ({ key: c.id, label: c.name, term: `"${c.name}"`, indices: c.indices, query: c.query ?? null }))
+  ];
+}
+
+function CombineForm({ cohorts, selectedIndices, query, total, onCreate }) {
+  const [a, setA] = useState('selection');
+  const [operation, setOperation] = useState('intersection');
+  const [b, setB] = useState('');
+  const [message, setMessage] = useState(null);
+
+  const operands = operandsOf(cohorts, selectedIndices, query);
+  const find = key => operands.find(o => o.key === key);
+  const binary = SET_OPERATIONS.find(op => op.id === operation).binary;
+  // fall back when an operand's cohort has been deleted
+  const left = find(a) ?? operands[0];
+  const right = find(b) ?? operands.find(o => o.key !== left.key) ?? left;
+  const usable = left.indices.length > 0 || operation === 'complement';
+
+  const handleCreate = () => {
+    const indices = combineIndices(operation, left.indices, binary ? right.indices : [], total);
+    if (indices.length === 0) {
+      setMessage('The result is empty, so no cohort was created.');
+      return;
+    }
+    setMessage(null);
+    onCreate(describeOperation(operation, left.term, right.term), indices, combineQueries(operation, left.query, right.query));
+  };
+
+  const operandSelect = (operand, onChange) => (
+    <select value={operand.key} onChange={(e) => onChange(e.target.value)} style={{ fontSize: '12px', maxWidth: '140px' }}>
+      {operands.map(o => (
+        <option key={o.key} value={o.key}>{o.label} ({o.indices.length})</option>
+      ))}
+    </select>
+  );
+
+  return (
+    <div style={{ marginTop: '10px' }}>
+      <div className="control-group" style={{ flexWrap: 'wrap' }}>
+        <label>Combine:</label>
+        {operandSelect(left, setA)}
+        <select value={operation} onChange={(e) => setOperation(e.target.value)} style={{ fontSize: '12px' }}>
+          {SET_OPERATIONS.map(op => (
+            <option key={op.id} value={op.id}>{op.label}</option>
+          ))}
+        </select>
+        {binary && operandSelect(right, setB)}
+        <button onClick={handleCreate} disabled={!usable} title="Save the result as a new cohort">
+          Create cohort
+        </button>
+      </div>
+      {message && <div style={{ color: '#666', marginTop: '4px' }}>{message}</div>}
+    </div>
+  );
+}
+
+export default function CohortManager({
+  cohorts,
+  selectedIndices,
+  query,
+  total,
+  onSaveSelection,
+  onCreate,
+  onUpdate,
+  onDelete,
+  onSelect
+}) {
+  const selectionCount = selectedIndices.length;
+  return (
+    <div style={{ fontSize: '12px' }}>
+      <div className="control-group" style={{ marginBottom: '8px' }}>
+        <button onClick={onSaveSelection} disabled={selectionCount === 0}>
+          Save selection as cohort
+        </button>
+        <span style={{ color: '#666' }}>
+          {selectionCount > 0 ? `${selectionCount} selected` : 'Select participants to save them as a cohort'}
+        </span>
+      </div>
+
+      {cohorts.length === 0 ? (
+        <div style={{ color: '#666' }}>No saved cohorts yet.</div>
+      ) : (
+        <table style={{ borderCollapse: 'collapse', width: '100%' }}>
+          <thead>
+            <tr style={{ color: '#666', textAlign: 'left' }}>
+              <th style={cellStyle} title="Show in the comparison charts">Show</th>
+              <th style={cellStyle}></th>
+              <th style={cellStyle}>Name</th>
+              <th style={cellStyle}>Description</th>
+              <th style={{ ...cellStyle, textAlign: 'right' }}>n</th>
+              <th style={cellStyle}></th>
+            </tr>
+          </thead>
+          <tbody>
+            {cohorts.map(cohort => (
+              <tr key={cohort.id} style={{ borderTop: '1px solid #f0f0f0' }}>
+                <td style={cellStyle}>
+                  <input
+                    type="checkbox"
+                    checked={cohort.visible}
+                    onChange={(e) => onUpdate(cohort.id, { visible: e.target.checked })}
+                  />
+                </td>
+                <td style={cellStyle}>
+                  <input
+                    type="color"
+                    value={cohort.color}
+                    onChange={(e) => onUpdate(cohort.id, { color: e.target.value })}
+                    title="Cohort colour"
+                    style={{ width: '22px', height: '18px', padding: 0, border: 'none', cursor: 'pointer' }}
+                  />
+                </td>
+                <td style={{ ...cellStyle, width: '30%' }}>
+                  <EditableText
+                    value={cohort.name}
+                    placeholder="Name"
+                    required
+                    onCommit={(name) => onUpdate(cohort.id, { name })}
+                  />
+                </td>
+                <td style={{ ...cellStyle, width: '45%' }}>
+                  <EditableText
+                    value={cohort.description}
+                    placeholder="Description"
+                    onCommit={(description) => onUpdate(cohort.id, { description })}
+                  />
+                </td>
+                <td style={{ ...cellStyle, textAlign: 'right' }}>{cohort.indices.length}</td>
+                <td style={{ ...cellStyle, whiteSpace: 'nowrap' }}>
+                  <button className="link-button" onClick={() => onSelect(cohort.indices, cohort.name)}>Select</button>
+                  {' '}
+                  <button className="link-button" onClick={() => onDelete(cohort.id)}>Delete</button>
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+
+      {cohorts.length > 0 && (
+        <CombineForm cohorts={cohorts} selectedIndices={selectedIndices} query={query} total={total} onCreate={onCreate} />
+      )}
+    </div>
+  );
+}
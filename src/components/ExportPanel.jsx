@@ -0,0 +1,68 @@
+import { useState } from 'react';
+import { EXPORT_FORMATS, EXPORT_OPTIONS } from '../utils/exportData';
+
+// Download the rows of the selection, a cohort or the whole dataset, or the
+// subgroup summary of the selection, the visible cohorts and everyone.
+// available says which of EXPORT_OPTIONS can be included right now.
+export default function ExportPanel({ cohorts, selectedIndices, total, available, onExport, onExportSummary }) {
+  const [source, setSource] = useState('selection');
+  const [format, setFormat] = useState('csv');
+  const [options, setOptions] = useState({ labels: true });
+
+  const sources = [
+    { key: 'selection', label: 'Selection', name: 'selection', indices: selectedIndices },
+    ...cohorts.map(c => ({ key: c.id, label: `Cohort: ${c.name}`, name: c.name, indices: c.indices })),
+    { key: 'all', label: 'All participants', name: 'all', indices: null }
+  ];
+  // fall back when the chosen cohort has been deleted
+  const chosen = sources.find(s => s.key === source) ?? sources[0];
+  const count = chosen.indices ? chosen.indices.length : total;
+
+  return (
+    <div style={{ fontSize: '12px' }}>
+      <div className="control-group" style={{ flexWrap: 'wrap' }}>
+        <label>Rows:</label>
+        <select value={chosen.key} onChange={(e) => setSource(e.target.value)} style={{ fontSize: '12px', maxWidth: '180px' }}>
+          {sources.map(s => (
+            <option key={s.key} value={s.key}>{s.label} ({s.indices ? s.indices.length : total})</option>
+          ))}
+        </select>
+        <label>Format:</label>
+        <select value={format} onChange={(e) => setFormat(e.target.value)} style={{ fontSize: '12px' }}>
+          {EXPORT_FORMATS.map(f => (
+            <option key={f.id} value={f.id}>{f.label}</option>
+          ))}
+        </select>
+      </div>
+      <div style={{ display: 'flex', flexWrap: 'wrap', gap: '4px 12px', margin: '8px 0' }}>
+        {EXPORT_OPTIONS.map(option => (
+          <label key={option.key} title={option.title} style={{ display: 'inline-flex', alignItems: 'center', gap: '4px', color: available[option.key] ? undefined : '#aaa' }}>
+            <input
+              type="checkbox"
+              checked={!!options[option.key] && available[option.key]}
+              disabled={!available[option.key]}
+              onChange={(e) => setOptions({ ...options, [option.key]: e.target.checked })}
+            />
+            {option.label}
+          </label>
+        ))}
+      </div>
+      <div style={{ display: 'flex', gap: '8px' }}>
+        <button
+          onClick={() => onExport(chosen.indices, chosen.name, format, Object.fromEntries(
+            EXPORT_OPTIONS.map(o => [o.key, !!options[o.key] && available[o.key]])
+          ))}
+          disabled={count === 0}
+        >
+          Export {count} rows
+        </button>
+        <button
+          onClick={() => onExportSummary(format)}
+          title="One row of summary statistics each for the selection, the visible cohorts and all participants"
+        >
+          Export Summary
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -1,14 +1,22 @@
 import { useEffect, useRef } from 'react';
 import * as d3 from 'd3';
+import { isCategoricalFeature } from '../utils/dataLoader';
+import { isMissing } from '../utils/missingness';
+import { toggleValue } from '../utils/crossfilter';
 
 export default function FeatureDistribution({
   data,
   feature,
   metadata,
   selectedIndices,
-  onBrush
+  filter = null,
+  onFilterChange
 }) {
   const svgRef = useRef();
+  // read through a ref, so a new handler from the parent does not redraw the
+  // chart (and cancel a brush in progress)
+  const onFilterChangeRef = useRef(onFilterChange);
+  onFilterChangeRef.current = onFilterChange;
 
   useEffect(() => {
     if (!data || !feature || !metadata) return;
@@ -28,19 +36,28 @@ export default function FeatureDistribution({
       .append('g')
       .attr('transform', `translate(${margin.left},${margin.top})`);
 
-    const validData = data.filter(d => d[feature] !== null && !isNaN(d[feature]));
+    const validData = data.filter(d => !isMissing(d[feature]));
     const meta = metadata[feature];
+    // the selection is drawn over the full distribution, which fades to grey behind it
+    const hasSelection = selectedIndices.length > 0;
+    const selectedData = selectedIndices.map(i => data[i]).filter(d => d && !isMissing(d[feature]));
 
-    if (meta.type === 'categorical' || meta.type === 'ordinal') {
+    if (isCategoricalFeature(meta)) {
       const counts = {};
+      const selectedCounts = {};
       meta.domain.forEach(val => counts[val] = 0);
       validData.forEach(d => {
         counts[d[feature]] = (counts[d[feature]] || 0) + 1;
       });
+      selectedData.forEach(d => {
+        selectedCounts[d[feature]] = (selectedCounts[d[feature]] || 0) + 1;
+      });
 
       const barData = meta.domain.map(val => ({
         value: val,
         count: counts[val] || 0,
+        selected: selectedCounts[val] || 0,
+        filtered: filter?.values?.includes(val) ?? false,
         label: meta.labels ? meta.labels[val] : val
       }));
 
@@ -61,16 +78,28 @@ export default function FeatureDistribution({
         .attr('y', d => y(d.count))
         .attr('width', x.bandwidth())
         .attr('height', d => innerHeight - y(d.count))
-        .attr('fill', '#4a90e2')
+        .attr('fill', hasSelection ? '#ddd' : '#4a90e2')
         .attr('stroke', '#333')
-        .attr('stroke-width', 0.5)
+        .attr('stroke-width', d => (d.filtered ? 2 : 0.5))
         .style('cursor', 'pointer')
         .on('click', (event, d) => {
-          const indices = data
-            .map((row, i) => row[feature] === d.value ? i : -1)
-            .filter(i => i !== -1);
-          onBrush(indices);
-        });
+          onFilterChangeRef.current(feature, toggleValue(filter, d.value, event.ctrlKey || event.metaKey));
+        })
+        .append('title')
+        .text(d => `${d.label}: ${d.count}${hasSelection ? ` (${d.selected} selected)` : ''}\nClick to filter, Ctrl+click to add or remove`);
+
+      if (hasSelection) {
+        g.selectAll('.selected-bar')
+          .data(barData)
+          .join('rect')
+          .attr('class', 'selected-bar')
+          .attr('x', d => x(d.value))
+          .attr('y', d => y(d.selected))
+          .attr('width', x.bandwidth())
+          .attr('height', d => innerHeight - y(d.selected))
+          .attr('fill', '#4a90e2')
+          .style('pointer-events', 'none');
+      }
 
       g.append('g')
         .attr('transform', `translate(0,${innerHeight})`)
@@ -103,21 +132,17 @@ export default function FeatureDistribution({
       const colorScale = d3.scaleSequential(d3.interpolateGreens)
         .domain([min, max]);
 
+      // same thresholds as the full histogram, so the overlay lines up
+      const selectedBins = d3.bin()
+        .domain([min, max])
+        .thresholds(bins.map(b => b.x0).slice(1))(selectedData.map(d => d[feature]));
+
       const brush = d3.brushX()
         .extent([[0, 0], [innerWidth, innerHeight]])
         .on('end', (event) => {
-          if (!event.selection) {
-            onBrush([]);
-            return;
-          }
-          const [x0, x1] = event.selection.map(x.invert);
-          const indices = data
-            .map((row, i) => {
-              const val = row[feature];
-              return val !== null && val >= x0 && val <= x1 ? i : -1;
-            })
-            .filter(i => i !== -1);
-          onBrush(indices);
+          // ignore the programmatic move that restores the brush after a redraw
+          if (!event.sourceEvent) return;
+          onFilterChangeRef.current(feature, event.selection ? { range: event.selection.map(x.invert) } : null);
         });
 
       g.selectAll('.bar')
@@ -128,10 +153,22 @@ export default function FeatureDistribution({
         .attr('y', d => y(d.length))
         .attr('width', d => Math.max(0, x(d.x1) - x(d.x0) - 1))
         .attr('height', d => innerHeight - y(d.length))
-        .attr('fill', d => colorScale((d.x0 + d.x1) / 2))
+        .attr('fill', d => (hasSelection ? '#ddd' : colorScale((d.x0 + d.x1) / 2)))
         .attr('stroke', '#333')
         .attr('stroke-width', 0.5);
 
+      if (hasSelection) {
+        g.selectAll('.selected-bar')
+          .data(selectedBins)
+          .join('rect')
+          .attr('class', 'selected-bar')
+          .attr('x', d => x(d.x0))
+          .attr('y', d => y(d.length))
+          .attr('width', d => Math.max(0, x(d.x1) - x(d.x0) - 1))
+          .attr('height', d => innerHeight - y(d.length))
+          .attr('fill', d => colorScale((d.x0 + d.x1) / 2));
+      }
+
       g.append('g')
         .attr('transform', `translate(0,${innerHeight})`)
         .call(d3.axisBottom(x).ticks(5))
@@ -143,9 +180,12 @@ export default function FeatureDistribution({
         .selectAll('text')
         .style('font-size', '10px');
 
-      g.append('g')
+      const brushG = g.append('g')
         .attr('class', 'brush')
         .call(brush);
+      if (filter?.range) {
+        brushG.call(brush.move, filter.range.map(v => Math.max(0, Math.min(innerWidth, x(v)))));
+      }
     }
 
     g.append('text')
@@ -156,7 +196,32 @@ export default function FeatureDistribution({
       .style('font-weight', 'bold')
       .text(meta.label);
 
-  }, [data, feature, metadata, selectedIndices, onBrush]);
+    // histograms only show observed values, so say how many are missing
+    const missingCount = data.length - validData.length;
+    if (missingCount > 0) {
+      g.append('text')
+        .attr('x', innerWidth)
+        .attr('y', -5)
+        .attr('text-anchor', 'end')
+        .style('font-size', '9px')
+        .style('fill', '#e67e22')
+        .text(`${missingCount} NA`);
+    }
+
+    if (filter) {
+      g.append('text')
+        .attr('x', -margin.left + 4)
+        .attr('y', -5)
+        .style('font-size', '10px')
+        .style('fill', '#3498db')
+        .style('cursor', 'pointer')
+        .text('× clear')
+        .on('click', () => onFilterChangeRef.current(feature, null))
+        .append('title')
+        .text('Clear this filter');
+    }
+
+  }, [data, feature, metadata, selectedIndices, filter]);
 
   return <svg ref={svgRef}></svg>;
 }
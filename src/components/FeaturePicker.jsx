@@ -0,0 +1,120 @@
+import { useState, useEffect } from 'react';
+import { getProjectionFeatures } from '../utils/dataDictionary';
+
+const TYPE_NOTES = {
+  numeric: 'standardized',
+  ordinal: 'standardized',
+  binary: 'standardized 0/1',
+  categorical: 'one-hot'
+};
+
+// Chooses which columns feed the projection and how much each one counts.
+// Like the hyperparameter inputs, edits apply together so each change is one recompute.
+export default function FeaturePicker({ metadata, features, weights, onApply }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [draftFeatures, setDraftFeatures] = useState(features);
+  const [draftWeights, setDraftWeights] = useState(weights);
+
+  useEffect(() => {
+    setDraftFeatures(features);
+    setDraftWeights(weights);
+  }, [features, weights]);
+
+  const candidates = Object.keys(metadata).filter(f => TYPE_NOTES[metadata[f].type]);
+  const weightOf = (f) => draftWeights[f] ?? 1;
+
+  const toggle = (f) => {
+    setDraftFeatures(draftFeatures.includes(f)
+      ? draftFeatures.filter(d => d !== f)
+      : candidates.filter(c => c === f || draftFeatures.includes(c)));
+  };
+
+  const apply = () => {
+    // only selected features with a non-default weight are kept
+    const applied = {};
+    draftFeatures.forEach(f => {
+      if (weightOf(f) !== 1) applied[f] = weightOf(f);
+    });
+    onApply(draftFeatures, applied);
+    setIsOpen(false);
+  };
+
+  const isValid = draftFeatures.length > 0 &&
+    draftFeatures.every(f => Number.isFinite(weightOf(f)) && weightOf(f) >= 0);
+
+  return (
+    <div className="control-group" style={{ position: 'relative' }}>
+      <button className="link-button" onClick={() => setIsOpen(!isOpen)}>
+        Projection features ({features.length})
+      </button>
+      {isOpen && (
+        <div style={{
+          position: 'absolute',
+          top: '100%',
+          left: 0,
+          zIndex: 10,
+          marginTop: '6px',
+          padding: '10px 12px',
+          background: 'white',
+          border: '1px solid #ddd',
+          borderRadius: '6px',
+          boxShadow: '0 4px 12px rgba(0,0,0,0.15)',
+          maxHeight: '400px',
+          overflowY: 'auto',
+          fontSize: '12px'
+        }}>
+          <table style={{ borderCollapse: 'collapse' }}>
+            <thead>
+              <tr style={{ color: '#666', textAlign: 'left' }}>
+                <th style={{ padding: '2px 6px' }}>Feature</th>
+                <th style={{ padding: '2px 6px' }}>Encoding</th>
+                <th style={{ padding: '2px 6px' }}>Weight</th>
+              </tr>
+            </thead>
+            <tbody>
+              {candidates.map(f => {
+                const checked = draftFeatures.includes(f);
+                return (
+                  <tr key={f}>
+                    <td style={{ padding: '2px 6px', whiteSpace: 'nowrap' }}>
+                      <label className="checkbox-label">
+                        <input type="checkbox" checked={checked} onChange={() => toggle(f)} />
+                        {metadata[f].label}
+                        {metadata[f].outcome && <span style={{ color: '#c0392b' }}> (outcome)</span>}
+                      </label>
+                    </td>
+                    <td style={{ padding: '2px 6px', color: '#888' }}>{TYPE_NOTES[metadata[f].type]}</td>
+                    <td style={{ padding: '2px 6px' }}>
+                      <input
+                        type="number"
+                        min={0}
+                        step={0.5}
+                        value={Number.isFinite(weightOf(f)) ? weightOf(f) : ''}
+                        disabled={!checked}
+                        onChange={(e) => setDraftWeights({ ...draftWeights, [f]: e.target.valueAsNumber })}
+                        style={{ width: '50px', fontSize: '12px' }}
+                      />
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+          <div style={{ display: 'flex', alignItems: 'center', gap: '10px', marginTop: '8px' }}>
+            <button onClick={apply} disabled={!isValid}>Apply</button>
+            <button
+              className="link-button"
+              onClick={() => {
+                setDraftFeatures(getProjectionFeatures(metadata));
+                setDraftWeights({});
+              }}
+            >
+              Reset to defaults
+            </button>
+            {draftFeatures.length === 0 && <span style={{ color: '#c0392b' }}>Select at least one feature</span>}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
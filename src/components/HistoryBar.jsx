@@ -0,0 +1,42 @@
+const VISIBLE_ENTRIES = 8;
+
+// Undo/redo buttons and breadcrumbs of the most recent selections; entries
+// after the current one can still be redone and are shown greyed out
+export default function HistoryBar({ history, onMove }) {
+  const { entries, index } = history;
+  const first = Math.max(0, entries.length - VISIBLE_ENTRIES);
+
+  return (
+    <div style={{ display: 'flex', alignItems: 'center', gap: '8px', flexWrap: 'wrap', fontSize: '12px', padding: '0 20px 10px' }}>
+      <button onClick={() => onMove(index - 1)} disabled={index <= 0} title="Undo (Ctrl+Z)">
+        Undo
+      </button>
+      <button onClick={() => onMove(index + 1)} disabled={index >= entries.length - 1} title="Redo (Ctrl+Shift+Z)">
+        Redo
+      </button>
+      {first > 0 && <span style={{ color: '#999' }}>…</span>}
+      {entries.slice(first).map((entry, i) => {
+        const at = first + i;
+        return (
+          <span key={at} style={{ display: 'inline-flex', alignItems: 'center', gap: '8px' }}>
+            {at > first && <span style={{ color: '#bbb' }}>›</span>}
+            <button
+              className="link-button"
+              onClick={() => onMove(at)}
+              disabled={at === index}
+              title={`${entry.label}: ${entry.size} selected, ${entry.state.cohorts.length} cohorts`}
+              style={{
+                color: at > index ? '#aaa' : at === index ? '#333' : undefined,
+                fontWeight: at === index ? 'bold' : 'normal',
+                textDecoration: at === index ? 'none' : undefined,
+                cursor: at === index ? 'default' : 'pointer'
+              }}
+            >
+              {entry.label.length > 28 ? `${entry.label.slice(0, 27)}…` : entry.label} ({entry.size})
+            </button>
+          </span>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,212 @@
+import { useEffect, useMemo, useRef } from 'react';
+import * as d3 from 'd3';
+import { computeMissingness, outcomeRateByMissingness } from '../utils/missingness';
+import { getOutcomeFeature } from '../utils/dataDictionary';
+
+const MAX_PATTERNS = 8;
+
+export default function MissingDataPanel({ data, headers, metadata, onBrush }) {
+  const svgRef = useRef();
+  // read when clicked, so a new handler from the parent does not redraw the panel
+  const onBrushRef = useRef(onBrush);
+  onBrushRef.current = onBrush;
+
+  const missingness = useMemo(
+    () => computeMissingness(data, headers.filter(h => metadata[h]?.type !== 'text')),
+    [data, headers, metadata]
+  );
+
+  useEffect(() => {
+    if (!data || data.length === 0) return;
+
+    const svg = d3.select(svgRef.current);
+    svg.selectAll('*').remove();
+
+    const outcome = getOutcomeFeature(metadata);
+    const columns = missingness.columns
+      .filter(c => c.count > 0)
+      .sort((a, b) => b.count - a.count);
+    const patterns = missingness.patterns.slice(0, MAX_PATTERNS);
+
+    const width = 400;
+    const margin = { top: 40, right: 20, bottom: 20, left: 100 };
+    const rowHeight = 18;
+    const columnsHeight = Math.max(columns.length, 1) * rowHeight;
+    const patternBarsHeight = 70;
+    const upsetTop = margin.top + columnsHeight + 30;
+    const height = upsetTop + 10 + patternBarsHeight + columnsHeight + margin.bottom;
+
+    svg.attr('width', width).attr('height', height);
+
+    svg.append('text')
+      .attr('x', width / 2)
+      .attr('y', 20)
+      .attr('text-anchor', 'middle')
+      .style('font-size', '14px')
+      .style('font-weight', 'bold')
+      .text('Missing Data');
+
+    if (columns.length === 0) {
+      svg.append('text')
+        .attr('x', width / 2)
+        .attr('y', margin.top + 10)
+        .attr('text-anchor', 'middle')
+        .style('font-size', '12px')
+        .style('fill', '#666')
+        .text('No missing values in this dataset');
+      svg.attr('height', margin.top + 30);
+      return;
+    }
+
+    // 1) Missing count and percentage per column; click selects the rows missing it
+    const g = svg.append('g')
+      .attr('transform', `translate(${margin.left},${margin.top})`);
+
+    const barWidth = 150;
+    const x = d3.scaleLinear()
+      .domain([0, d3.max(columns, c => c.pct)])
+      .range([0, barWidth]);
+
+    const y = d3.scaleBand()
+      .domain(columns.map(c => c.feature))
+      .range([0, columnsHeight])
+      .padding(0.2);
+
+    g.append('g')
+      .call(d3.axisLeft(y).tickFormat(f => metadata[f]?.label || f).tickSize(0))
+      .call(axis => axis.select('.domain').remove())
+      .selectAll('text')
+      .style('font-size', '10px');
+
+    const ratesX = width - margin.left - margin.right;
+    if (outcome) {
+      g.append('text')
+        .attr('x', ratesX)
+        .attr('y', -6)
+        .attr('text-anchor', 'end')
+        .style('font-size', '9px')
+        .style('fill', '#666')
+        .text(`${metadata[outcome].label} %: NA / obs.`);
+    }
+
+    columns.forEach(col => {
+      const rates = outcome ? outcomeRateByMissingness(data, col.feature, outcome) : null;
+      const row = g.append('g')
+        .style('cursor', 'pointer')
+        .on('click', () => onBrushRef.current(col.indices));
+
+      row.append('rect')
+        .attr('x', 0)
+        .attr('y', y(col.feature))
+        .attr('width', Math.max(1, x(col.pct)))
+        .attr('height', y.bandwidth())
+        .attr('fill', '#e67e22')
+        .attr('opacity', 0.8);
+
+      row.append('title')
+        .text(`${col.count} rows missing ${metadata[col.feature]?.label || col.feature}; click to select them`);
+
+      row.append('text')
+        .attr('x', x(col.pct) + 4)
+        .attr('y', y(col.feature) + y.bandwidth() / 2)
+        .attr('dy', '0.35em')
+        .style('font-size', '9px')
+        .text(`${col.count} (${col.pct.toFixed(1)}%)`);
+
+      if (rates) {
+        const differs = rates.missing !== null && rates.observed !== null &&
+          Math.abs(rates.missing - rates.observed) >= 5;
+        row.append('text')
+          .attr('x', ratesX)
+          .attr('y', y(col.feature) + y.bandwidth() / 2)
+          .attr('dy', '0.35em')
+          .attr('text-anchor', 'end')
+          .style('font-size', '9px')
+          .style('fill', differs ? '#c0392b' : '#555')
+          .text(`${rates.missing?.toFixed(1) ?? '-'} / ${rates.observed?.toFixed(1) ?? '-'}`);
+      }
+    });
+
+    // 2) UpSet-style co-occurrence: one column per missingness pattern
+    svg.append('text')
+      .attr('x', margin.left)
+      .attr('y', upsetTop)
+      .style('font-size', '11px')
+      .style('font-weight', 'bold')
+      .text(`Missingness patterns (${missingness.completeRows} complete rows)`);
+
+    const px = d3.scaleBand()
+      .domain(patterns.map((_, i) => i))
+      .range([0, width - margin.left - margin.right])
+      .padding(0.3);
+
+    const py = d3.scaleLinear()
+      .domain([0, d3.max(patterns, p => p.count)])
+      .range([patternBarsHeight - 15, 0]);
+
+    const upset = svg.append('g')
+      .attr('transform', `translate(${margin.left},${upsetTop + 10})`);
+
+    const my = d3.scaleBand()
+      .domain(columns.map(c => c.feature))
+      .range([patternBarsHeight, patternBarsHeight + columnsHeight]);
+
+    columns.forEach(col => {
+      upset.append('text')
+        .attr('x', -6)
+        .attr('y', my(col.feature) + my.bandwidth() / 2)
+        .attr('dy', '0.35em')
+        .attr('text-anchor', 'end')
+        .style('font-size', '10px')
+        .text(metadata[col.feature]?.label || col.feature);
+    });
+
+    patterns.forEach((pattern, i) => {
+      const cx = px(i) + px.bandwidth() / 2;
+      const column = upset.append('g')
+        .style('cursor', 'pointer')
+        .on('click', () => onBrushRef.current(pattern.indices));
+
+      column.append('title')
+        .text(`${pattern.count} rows missing exactly: ${pattern.features
+          .map(f => metadata[f]?.label || f).join(', ')}; click to select them`);
+
+      column.append('rect')
+        .attr('x', px(i))
+        .attr('y', py(pattern.count))
+        .attr('width', px.bandwidth())
+        .attr('height', patternBarsHeight - 15 - py(pattern.count))
+        .attr('fill', '#7f8c8d');
+
+      column.append('text')
+        .attr('x', cx)
+        .attr('y', py(pattern.count) - 3)
+        .attr('text-anchor', 'middle')
+        .style('font-size', '9px')
+        .text(pattern.count);
+
+      const memberYs = pattern.features.map(f => my(f) + my.bandwidth() / 2);
+      if (memberYs.length > 1) {
+        column.append('line')
+          .attr('x1', cx)
+          .attr('x2', cx)
+          .attr('y1', d3.min(memberYs))
+          .attr('y2', d3.max(memberYs))
+          .attr('stroke', '#2c3e50')
+          .attr('stroke-width', 2);
+      }
+
+      columns.forEach(col => {
+        const member = pattern.features.includes(col.feature);
+        column.append('circle')
+          .attr('cx', cx)
+          .attr('cy', my(col.feature) + my.bandwidth() / 2)
+          .attr('r', 4)
+          .attr('fill', member ? '#2c3e50' : '#e0e0e0');
+      });
+    });
+
+  }, [data, missingness, metadata]);
+
+  return <svg ref={svgRef}></svg>;
+}
@@ -0,0 +1,184 @@
+import { useEffect, useRef } from 'react';
+import * as d3 from 'd3';
+import { columnLabel } from '../utils/dataDictionary';
+
+const MAX_SCREE_COMPONENTS = 20;
+const TABLE_COMPONENTS = 5;
+
+export default function PCADiagnostics({
+  pcaInfo,
+  metadata,
+  components,
+  onComponentsChange,
+  showBiplot,
+  onShowBiplotChange
+}) {
+  const svgRef = useRef();
+  const { varExplained, loadings, columns } = pcaInfo;
+  const nComponents = varExplained.length;
+  const pcName = (k) => `PC${k + 1}`;
+
+  // Scree plot: variance per component, with the cumulative share as a line
+  useEffect(() => {
+    const svg = d3.select(svgRef.current);
+    svg.selectAll('*').remove();
+
+    const width = 460;
+    const height = 170;
+    const margin = { top: 25, right: 40, bottom: 30, left: 40 };
+    const innerWidth = width - margin.left - margin.right;
+    const innerHeight = height - margin.top - margin.bottom;
+
+    const shown = varExplained.slice(0, MAX_SCREE_COMPONENTS);
+    const cumulative = d3.cumsum(shown);
+
+    svg.attr('width', width).attr('height', height);
+
+    svg.append('text')
+      .attr('x', width / 2)
+      .attr('y', 15)
+      .attr('text-anchor', 'middle')
+      .style('font-size', '12px')
+      .style('font-weight', 'bold')
+      .text('Scree Plot');
+
+    const g = svg.append('g')
+      .attr('transform', `translate(${margin.left},${margin.top})`);
+
+    const x = d3.scaleBand()
+      .domain(shown.map((_, k) => k))
+      .range([0, innerWidth])
+      .padding(0.2);
+
+    const y = d3.scaleLinear()
+      .domain([0, 100])
+      .range([innerHeight, 0]);
+
+    g.selectAll('.bar')
+      .data(shown)
+      .join('rect')
+      .attr('class', 'bar')
+      .attr('x', (_, k) => x(k))
+      .attr('y', v => y(v))
+      .attr('width', x.bandwidth())
+      .attr('height', v => innerHeight - y(v))
+      .attr('fill', (_, k) => (components.includes(k) ? '#2c3e50' : '#95a5a6'))
+      .append('title')
+      .text((v, k) => `${pcName(k)}: ${v.toFixed(1)}% (cumulative ${cumulative[k].toFixed(1)}%)`);
+
+    g.append('path')
+      .datum(cumulative)
+      .attr('fill', 'none')
+      .attr('stroke', '#e67e22')
+      .attr('stroke-width', 2)
+      .attr('d', d3.line()
+        .x((_, k) => x(k) + x.bandwidth() / 2)
+        .y(v => y(v)));
+
+    g.selectAll('.cumulative')
+      .data(cumulative)
+      .join('circle')
+      .attr('class', 'cumulative')
+      .attr('cx', (_, k) => x(k) + x.bandwidth() / 2)
+      .attr('cy', v => y(v))
+      .attr('r', 2.5)
+      .attr('fill', '#e67e22');
+
+    g.append('g')
+      .attr('transform', `translate(0,${innerHeight})`)
+      .call(d3.axisBottom(x).tickFormat(k => pcName(k)))
+      .selectAll('text')
+      .style('font-size', shown.length > 10 ? '8px' : '10px');
+
+    g.append('g')
+      .call(d3.axisLeft(y).ticks(4).tickFormat(v => `${v}%`))
+      .selectAll('text')
+      .style('font-size', '10px');
+
+    g.append('text')
+      .attr('x', innerWidth)
+      .attr('y', -5)
+      .attr('text-anchor', 'end')
+      .style('font-size', '10px')
+      .style('fill', '#e67e22')
+      .text('cumulative');
+  }, [varExplained, components]);
+
+  // First few components plus whichever are plotted
+  const tableComponents = [...new Set([...d3.range(Math.min(TABLE_COMPONENTS, nComponents)), ...components])]
+    .sort((a, b) => a - b);
+  const cellColor = d3.scaleSequential(d3.interpolateRdBu).domain([1, -1]);
+
+  const axisSelect = (axis) => (
+    <select
+      value={components[axis]}
+      onChange={(e) => {
+        const next = [...components];
+        next[axis] = Number(e.target.value);
+        onComponentsChange(next);
+      }}
+    >
+      {varExplained.map((v, k) => (
+        <option key={k} value={k}>{pcName(k)} ({v.toFixed(1)}%)</option>
+      ))}
+    </select>
+  );
+
+  return (
+    <div style={{ fontSize: '12px' }}>
+      <div className="control-group" style={{ marginBottom: '10px', flexWrap: 'wrap' }}>
+        <label>X axis:</label>
+        {axisSelect(0)}
+        <label>Y axis:</label>
+        {axisSelect(1)}
+        <label className="checkbox-label">
+          <input
+            type="checkbox"
+            checked={showBiplot}
+            onChange={(e) => onShowBiplotChange(e.target.checked)}
+          />
+          Biplot arrows
+        </label>
+      </div>
+
+      <svg ref={svgRef}></svg>
+
+      <div style={{ marginTop: '10px', fontWeight: 'bold' }}>Loadings</div>
+      <table style={{ borderCollapse: 'collapse', marginTop: '5px' }}>
+        <thead>
+          <tr>
+            <th style={{ padding: '2px 6px', textAlign: 'left' }}>Feature</th>
+            {tableComponents.map(k => (
+              <th key={k} style={{ padding: '2px 6px', fontWeight: components.includes(k) ? 'bold' : 'normal' }}>
+                {pcName(k)}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {columns.map((column, j) => (
+            <tr key={column}>
+              <td style={{ padding: '2px 6px', whiteSpace: 'nowrap' }}>{columnLabel(column, metadata)}</td>
+              {tableComponents.map(k => {
+                const v = loadings[k][j];
+                return (
+                  <td
+                    key={k}
+                    style={{
+                      padding: '2px 6px',
+                      textAlign: 'right',
+                      backgroundColor: cellColor(v),
+                      color: Math.abs(v) > 0.6 ? 'white' : '#333'
+                    }}
+                  >
+                    {v.toFixed(2)}
+                  </td>
+                );
+              })}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
@@ -1,5 +1,33 @@
-import { useEffect, useRef } from 'react';
+import { useState, useEffect, useRef } from 'react';
 import * as d3 from 'd3';
+import { isCategoricalFeature } from '../utils/dataLoader';
+import { columnLabel, getOutcomeFeature } from '../utils/dataDictionary';
+import { CLUSTER_FEATURE } from '../utils/clustering';
+import {
+  setupCanvas,
+  drawPoints,
+  sortByStyle,
+  buildPointIndex,
+  pointsInPolygon,
+  findPoint
+} from '../utils/pointRenderer';
+import PointTooltip from './PointTooltip';
+
+const FIRST_TWO_COMPONENTS = [0, 1];
+
+const WIDTH = 500;
+const HEIGHT = 500;
+const MARGIN = { top: 80, right: 40, bottom: 50, left: 50 };
+const MAX_ZOOM = 40;
+const HIT_RADIUS = 6;
+const TOOLTIP_FEATURES = 6;
+
+const SELECTION_MODES = [
+  { id: 'rectangle', label: 'Rectangle' },
+  { id: 'lasso', label: 'Lasso' },
+  { id: 'polygon', label: 'Polygon' },
+  { id: 'pan', label: 'Pan' }
+];
 
 export default function PCAView({
   data,
@@ -11,19 +39,84 @@ export default function PCAView({
   onBrush,
   pcaInfo,
   clusteringMethod,
-  isComputing
+  isComputing,
+  isStreaming,
+  progress,
+  onCancel,
+  imputedIndices = [],
+  components = FIRST_TWO_COMPONENTS,
+  showBiplot = false,
+  clusterAssignments,
+  inspectedIndex = null,
+  onInspect,
+  individual = null,
+  highlightedIndices = null
 }) {
   const svgRef = useRef();
+  const canvasRef = useRef();
+  // zoom survives redraws (e.g. selection changes) until the layout itself changes
+  const zoomRef = useRef({ projection: null, transform: d3.zoomIdentity, reset: null });
+  const [selectionMode, setSelectionMode] = useState('rectangle');
+  const [isZoomed, setIsZoomed] = useState(false);
+  const [hovered, setHovered] = useState(null);
+  // the current layout's points, scales and render function, restyled in place
+  const layoutRef = useRef(null);
+  // read by the selection tools, so a new selection does not rebuild them
+  const selectedRef = useRef(selectedIndices);
+  selectedRef.current = selectedIndices;
+  // t-SNE reports gradient descent iterations rather than epochs
+  const stepName = clusteringMethod === 't-SNE' ? 'iteration' : 'epoch';
+
+  // Fill, size and outline of every point for the selection, imputed and
+  // highlighted rows, then the inspected ring and the calculator's marker.
+  // Cheap next to the layout, so selection changes only redo this.
+  const restyle = (layout) => {
+    if (!layout) return;
+
+    // cluster assignments are not a column of the data
+    const colorValueOf = (index) => {
+      if (!colorFeature) return 'default';
+      if (colorFeature === CLUSTER_FEATURE) return clusterAssignments?.get(index);
+      return data[index][colorFeature];
+    };
 
+    const selectedSet = new Set(selectedIndices);
+    const imputedSet = new Set(imputedIndices);
+    const highlightedSet = new Set(highlightedIndices ?? []);
+
+    layout.points.forEach(p => {
+      const isSelected = selectedSet.has(p.dataIndex);
+      const isHighlighted = highlightedSet.has(p.dataIndex);
+      p.fill = layout.fillOf(colorValueOf(p.dataIndex));
+      p.radius = isSelected || isHighlighted ? 4 : 3;
+      p.opacity = selectedIndices.length === 0 || isHighlighted ? 0.6 : (isSelected ? 1 : 0.2);
+      p.stroke = isHighlighted ? '#8e44ad' : isSelected ? '#000' : (imputedSet.has(p.dataIndex) ? '#e67e22' : null);
+    });
+
+    // selected points draw on top, the calculator's look-alikes above them
+    const ordered = sortByStyle(layout.points, p => (highlightedSet.has(p.dataIndex) ? 2 : selectedSet.has(p.dataIndex) ? 1 : 0));
+    const inspected = layout.points.find(p => p.dataIndex === inspectedIndex);
+
+    layout.ring.style('display', inspected ? null : 'none');
+    layout.marker.style('display', individual ? null : 'none');
+    layout.markerLabel.text(individual?.approximate ? 'Calculator (approx.)' : 'Calculator');
+    layout.style = { ordered, inspected, individual };
+    layout.render();
+  };
+
+  // Layout: axes, labels, legend, point positions and their index, zoom and
+  // the selection tools. Rebuilt only when the projection or how it is shown changes.
   useEffect(() => {
-    if (!projection || projection.length === 0 || isComputing) return;
+    layoutRef.current = null;
+    // while streaming, intermediate layouts are drawn as they arrive
+    if (!projection || projection.length === 0 || (isComputing && !isStreaming)) return;
 
     const svg = d3.select(svgRef.current);
     svg.selectAll('*').remove();
 
-    const width = 500;
-    const height = 500;
-    const margin = { top: 80, right: 40, bottom: 50, left: 50 };
+    const width = WIDTH;
+    const height = HEIGHT;
+    const margin = MARGIN;
     const innerWidth = width - margin.left - margin.right;
     const innerHeight = height - margin.top - margin.bottom;
 
@@ -36,21 +129,28 @@ export default function PCAView({
     const xExtent = d3.extent(projection, d => d.x);
     const yExtent = d3.extent(projection, d => d.y);
 
-    const x = d3.scaleLinear()
+    // base scales; x and y below are the zoomed versions
+    const x0 = d3.scaleLinear()
       .domain(xExtent)
       .range([0, innerWidth]);
 
-    const y = d3.scaleLinear()
+    const y0 = d3.scaleLinear()
       .domain(yExtent)
       .range([innerHeight, 0]);
 
+    if (zoomRef.current.projection !== projection) {
+      zoomRef.current.projection = projection;
+      zoomRef.current.transform = d3.zoomIdentity;
+    }
+    let x = x0;
+    let y = y0;
+
     // figure out metadata and whether this feature is categorical
     const meta = colorFeature && metadata[colorFeature]
       ? metadata[colorFeature]
       : null;
 
-    const isCategorical =
-      meta && (meta.type === 'categorical' || meta.type === 'ordinal');
+    const isCategorical = isCategoricalFeature(meta);
 
     // build color scale based on feature type
     let colorScale = null;
@@ -58,7 +158,9 @@ export default function PCAView({
     if (isCategorical) {
       colorScale = d3.scaleOrdinal()
         .domain(meta.domain)
-        .range(['#e74c3c', '#3498db', '#2ecc71', '#f39c12']);
+        .range(meta.colors ?? (meta.domain.length > 4
+          ? d3.schemeTableau10
+          : ['#e74c3c', '#3498db', '#2ecc71', '#f39c12']));
     } else if (colorFeature && meta) {
       // continuous feature - use green gradient
       const values = data
@@ -75,90 +177,361 @@ export default function PCAView({
       }
     }
 
+    const fillOf = (v) => {
+      // treat missing or bad values as default green
+      if (v === 'default' || v == null || Number.isNaN(v)) return '#2ecc71';
+      return colorScale ? colorScale(v) : '#2ecc71';
+    };
+
+    // bx/by: unzoomed pixel position, used for hit-testing at any zoom; restyle fills in the rest
     const points = projection.map((p, i) => ({
       x: p.x,
       y: p.y,
-      dataIndex: validIndices[i],
-      colorValue: colorFeature ? data[validIndices[i]][colorFeature] : 'default'
+      bx: x0(p.x),
+      by: y0(p.y),
+      dataIndex: validIndices[i]
     }));
 
-    const selectedSet = new Set(selectedIndices);
-
-    g.selectAll('.point')
-      .data(points)
-      .join('circle')
-      .attr('class', 'point')
-      .attr('cx', d => x(d.x))
-      .attr('cy', d => y(d.y))
-      .attr('r', d => selectedSet.has(d.dataIndex) ? 4 : 3)
-      .attr('fill', d => {
-        const v = d.colorValue;
-
-        // treat missing or bad values as default green
-        if (v === 'default' || v == null || Number.isNaN(v)) {
-          return '#2ecc71';
-        }
+    const pointIndex = buildPointIndex(points);
+    const ctx = setupCanvas(canvasRef.current, innerWidth, innerHeight);
+
+    svg.append('defs')
+      .append('clipPath')
+      .attr('id', 'plot-clip')
+      .append('rect')
+      .attr('width', innerWidth)
+      .attr('height', innerHeight);
+
+    // catches wheel zoom everywhere and drag panning in pan mode
+    g.append('rect')
+      .attr('class', 'zoom-surface')
+      .attr('width', innerWidth)
+      .attr('height', innerHeight)
+      .attr('fill', 'transparent')
+      .style('cursor', selectionMode === 'pan' ? 'grab' : null);
+
+    if (selectionMode === 'pan') {
+      // d3.zoom swallows the click after a drag, so this only fires for clicks in place
+      g.select('.zoom-surface').on('click', (event) => {
+        const hit = pointAt(d3.pointer(event, g.node()));
+        if (hit) onInspect?.(hit.dataIndex);
+      });
+    }
 
-        // if we have a color scale, use it
-        if (colorScale) {
-          return colorScale(v);
-        }
+    const xAxis = g.append('g')
+      .attr('transform', `translate(0,${innerHeight})`);
+    const yAxis = g.append('g');
+    const arrows = g.append('g')
+      .attr('class', 'biplot')
+      .attr('clip-path', 'url(#plot-clip)')
+      .style('pointer-events', 'none');
+
+    // the person entered in the risk calculator
+    const marker = g.append('g')
+      .attr('class', 'individual-marker')
+      .attr('clip-path', 'url(#plot-clip)')
+      .style('pointer-events', 'none')
+      .style('display', 'none');
+    const markerShape = marker.append('path')
+      .attr('d', d3.symbol(d3.symbolStar, 180)())
+      .attr('fill', '#8e44ad')
+      .attr('stroke', 'white')
+      .attr('stroke-width', 1.5);
+    const markerLabel = marker.append('text')
+      .attr('dy', '0.35em')
+      .style('font-size', '10px')
+      .style('font-weight', 'bold')
+      .style('fill', '#8e44ad')
+      .style('paint-order', 'stroke')
+      .style('stroke', 'white')
+      .style('stroke-width', 3);
+
+    const ring = g.append('circle')
+      .attr('class', 'inspected-ring')
+      .attr('r', 7)
+      .attr('fill', 'none')
+      .attr('stroke', '#2c3e50')
+      .attr('stroke-width', 2)
+      .attr('clip-path', 'url(#plot-clip)')
+      .style('pointer-events', 'none')
+      .style('display', 'none');
+
+    // Shift adds the enclosed points to the current selection, Alt removes them
+    const applySelection = (indices, sourceEvent) => {
+      if (sourceEvent?.shiftKey) {
+        onBrush([...new Set([...selectedRef.current, ...indices])]);
+      } else if (sourceEvent?.altKey) {
+        const removed = new Set(indices);
+        onBrush(selectedRef.current.filter(i => !removed.has(i)));
+      } else {
+        onBrush(indices);
+      }
+    };
+
+    const pointAt = (position) => findPoint(pointIndex, zoomRef.current.transform, position, HIT_RADIUS);
+
+    // a click that selects nothing inspects the participant under it, or clears the selection
+    const handleClick = (sourceEvent) => {
+      const hit = sourceEvent && pointAt(d3.pointer(sourceEvent, g.node()));
+      if (hit) onInspect?.(hit.dataIndex);
+      else if (!sourceEvent?.shiftKey && !sourceEvent?.altKey) onBrush([]);
+    };
+
+    // polygon in screen (zoomed) pixels
+    const selectInPolygon = (polygon) => {
+      const transform = zoomRef.current.transform;
+      return pointsInPolygon(pointIndex, polygon.map(v => transform.invert(v))).map(p => p.dataIndex);
+    };
+
+    let removeKeyListener = null;
+
+    // selections on a layout that is still moving would not mean much
+    if (!isComputing && selectionMode === 'rectangle') {
+      const brush = d3.brush()
+        .extent([[0, 0], [innerWidth, innerHeight]])
+        // shift and alt are our add/subtract modifiers, not d3's axis lock and centring
+        .keyModifiers(false)
+        .on('end', (event) => {
+          // clearing the brush below has no source event
+          if (!event.sourceEvent) return;
+          if (!event.selection) {
+            handleClick(event.sourceEvent);
+            return;
+          }
+          const [[x0, y0], [x1, y1]] = event.selection;
+          applySelection(selectInPolygon([[x0, y0], [x1, y0], [x1, y1], [x0, y1]]), event.sourceEvent);
+          // the highlighted points show the selection from here on
+          brushGroup.call(brush.move, null);
+        });
 
-        // fallback to default green
-        return '#2ecc71';
-      })
-      .attr('opacity', d =>
-        selectedIndices.length === 0 ? 0.6 :
-        (selectedSet.has(d.dataIndex) ? 1 : 0.2)
-      )
-      .attr('stroke', d => selectedSet.has(d.dataIndex) ? '#000' : 'none')
-      .attr('stroke-width', 1);
-
-    const brush = d3.brush()
-      .extent([[0, 0], [innerWidth, innerHeight]])
-      .on('end', (event) => {
-        if (!event.selection) {
-          onBrush([]);
-          return;
-        }
-        const [[x0, y0], [x1, y1]] = event.selection;
-        const brushed = points
-          .filter(p => {
-            const px = x(p.x);
-            const py = y(p.y);
-            return px >= x0 && px <= x1 && py >= y0 && py <= y1;
+      const brushGroup = g.append('g')
+        .attr('class', 'brush')
+        .call(brush);
+    } else if (!isComputing && selectionMode !== 'pan') {
+      const overlay = g.append('rect')
+        .attr('class', 'selection-overlay')
+        .attr('width', innerWidth)
+        .attr('height', innerHeight)
+        .attr('fill', 'transparent')
+        .style('cursor', 'crosshair');
+
+      const outline = g.append('path')
+        .attr('class', 'selection-outline')
+        .attr('fill', 'rgba(52, 152, 219, 0.1)')
+        .attr('stroke', '#3498db')
+        .attr('stroke-width', 1.5)
+        .attr('stroke-dasharray', '4,3')
+        .style('pointer-events', 'none');
+
+      const clamp = ([px, py]) => [
+        Math.max(0, Math.min(innerWidth, px)),
+        Math.max(0, Math.min(innerHeight, py))
+      ];
+
+      if (selectionMode === 'lasso') {
+        // freehand: press, draw, release
+        let path = [];
+        overlay.call(d3.drag()
+          .container(g.node())
+          .on('start', (event) => {
+            path = [clamp([event.x, event.y])];
+          })
+          .on('drag', (event) => {
+            path.push(clamp([event.x, event.y]));
+            outline.attr('d', d3.line()(path));
+          })
+          .on('end', (event) => {
+            outline.attr('d', null);
+            if (path.length < 3) {
+              handleClick(event.sourceEvent);
+              return;
+            }
+            applySelection(selectInPolygon(path), event.sourceEvent);
+          }));
+      } else if (selectionMode === 'polygon') {
+        // click to place vertices; double-click or click the first vertex to close, Escape cancels
+        let vertices = [];
+        const draw = (cursor) => {
+          const open = cursor ? [...vertices, cursor] : vertices;
+          outline.attr('d', open.length > 1 ? d3.line()(open) : null);
+          g.selectAll('.polygon-vertex')
+            .data(vertices)
+            .join('circle')
+            .attr('class', 'polygon-vertex')
+            .attr('cx', v => v[0])
+            .attr('cy', v => v[1])
+            .attr('r', (_, i) => (i === 0 ? 5 : 3))
+            .attr('fill', '#3498db')
+            .style('pointer-events', 'none');
+        };
+        const close = (sourceEvent) => {
+          const polygon = vertices;
+          vertices = [];
+          draw(null);
+          if (polygon.length >= 3) applySelection(selectInPolygon(polygon), sourceEvent);
+        };
+
+        overlay
+          .on('click', (event) => {
+            const vertex = clamp(d3.pointer(event, g.node()));
+            const first = vertices[0];
+            if (vertices.length >= 3 && Math.hypot(vertex[0] - first[0], vertex[1] - first[1]) < 8) {
+              close(event);
+              return;
+            }
+            const last = vertices[vertices.length - 1];
+            // the second click of a double-click lands on the same spot
+            if (!last || Math.hypot(vertex[0] - last[0], vertex[1] - last[1]) > 2) vertices.push(vertex);
+            draw(vertex);
           })
-          .map(p => p.dataIndex);
-        onBrush(brushed);
+          .on('dblclick', (event) => {
+            event.preventDefault();
+            close(event);
+          })
+          .on('mousemove', (event) => {
+            if (vertices.length > 0) draw(clamp(d3.pointer(event, g.node())));
+          });
+
+        const onKeyDown = (event) => {
+          if (event.key === 'Escape' && vertices.length > 0) {
+            vertices = [];
+            draw(null);
+          }
+        };
+        window.addEventListener('keydown', onKeyDown);
+        removeKeyListener = () => window.removeEventListener('keydown', onKeyDown);
+      }
+    }
+
+    // Biplot: each column's loading on the plotted components, scaled by the
+    // component's standard deviation and then to fit the point cloud
+    let drawBiplot = () => {};
+    if (showBiplot && clusteringMethod === 'PCA' && pcaInfo?.loadings && !isComputing) {
+      const [cx, cy] = components;
+      const vectors = pcaInfo.columns.map((column, j) => ({
+        column,
+        x: pcaInfo.loadings[cx][j] * Math.sqrt(pcaInfo.eigenvalues[cx]),
+        y: (pcaInfo.loadings[cy]?.[j] ?? 0) * Math.sqrt(pcaInfo.eigenvalues[cy] ?? 0)
+      }));
+      const longest = d3.max(vectors, v => Math.hypot(v.x, v.y)) || 1;
+      const reach = 0.8 * Math.min(
+        Math.max(Math.abs(xExtent[0]), Math.abs(xExtent[1])),
+        Math.max(Math.abs(yExtent[0]), Math.abs(yExtent[1]))
+      );
+      const scale = reach / longest;
+
+      svg.select('defs')
+        .append('marker')
+        .attr('id', 'biplot-arrow')
+        .attr('viewBox', '0 0 10 10')
+        .attr('refX', 9)
+        .attr('refY', 5)
+        .attr('markerWidth', 6)
+        .attr('markerHeight', 6)
+        .attr('orient', 'auto')
+        .append('path')
+        .attr('d', 'M0,0L10,5L0,10z')
+        .attr('fill', '#c0392b');
+
+      // redrawn on zoom
+      drawBiplot = () => {
+        arrows.selectAll('*').remove();
+        vectors.forEach(v => {
+          arrows.append('line')
+            .attr('x1', x(0))
+            .attr('y1', y(0))
+            .attr('x2', x(v.x * scale))
+            .attr('y2', y(v.y * scale))
+            .attr('stroke', '#c0392b')
+            .attr('stroke-width', 1.5)
+            .attr('marker-end', 'url(#biplot-arrow)');
+
+          arrows.append('text')
+            .attr('x', x(v.x * scale * 1.08))
+            .attr('y', y(v.y * scale * 1.08))
+            .attr('text-anchor', v.x < 0 ? 'end' : 'start')
+            .attr('dy', '0.35em')
+            .style('font-size', '10px')
+            .style('font-weight', 'bold')
+            .style('fill', '#c0392b')
+            .style('paint-order', 'stroke')
+            .style('stroke', 'white')
+            .style('stroke-width', 3)
+            .text(columnLabel(v.column, metadata));
+        });
+      };
+    }
+
+    // Points, axes and arrows at the current zoom. Points grow a little when
+    // zoomed in so dense regions separate.
+    const layout = { points, fillOf, ring, marker, markerLabel, style: null };
+    layout.render = () => {
+      const transform = zoomRef.current.transform;
+      x = transform.rescaleX(x0);
+      y = transform.rescaleY(y0);
+      // nothing to draw until restyle has run
+      const { ordered = [], inspected, individual } = layout.style ?? {};
+      ordered.forEach(p => {
+        p.px = transform.applyX(p.bx);
+        p.py = transform.applyY(p.by);
       });
+      drawPoints(ctx, ordered, innerWidth, innerHeight, Math.min(2, Math.sqrt(transform.k)));
+
+      xAxis.call(d3.axisBottom(x).ticks(6))
+        .selectAll('text')
+        .style('font-size', '11px');
+
+      yAxis.call(d3.axisLeft(y).ticks(6))
+        .selectAll('text')
+        .style('font-size', '11px');
 
-    g.append('g')
-      .attr('class', 'brush')
-      .call(brush);
+      if (inspected) ring.attr('cx', inspected.px).attr('cy', inspected.py);
+      if (individual) {
+        const [mx, my] = [x(individual.x), y(individual.y)];
+        markerShape.attr('transform', `translate(${mx},${my})`);
+        markerLabel.attr('x', mx + 10).attr('y', my);
+      }
+      drawBiplot();
+    };
 
-    g.append('g')
-      .attr('transform', `translate(0,${innerHeight})`)
-      .call(d3.axisBottom(x).ticks(6))
-      .selectAll('text')
-      .style('font-size', '11px');
+    const zoom = d3.zoom()
+      .scaleExtent([1, MAX_ZOOM])
+      .extent([[0, 0], [innerWidth, innerHeight]])
+      .translateExtent([[0, 0], [innerWidth, innerHeight]])
+      // the wheel zooms in every mode; dragging pans only in pan mode, as it selects otherwise
+      .filter((event) => event.type === 'wheel' ||
+        (selectionMode === 'pan' && event.type !== 'dblclick' && !event.ctrlKey && !event.button))
+      .on('zoom', (event) => {
+        zoomRef.current.transform = event.transform;
+        setIsZoomed(event.transform.k > 1);
+        layout.render();
+      });
 
-    g.append('g')
-      .call(d3.axisLeft(y).ticks(6))
-      .selectAll('text')
-      .style('font-size', '11px');
+    g.call(zoom)
+      .on('dblclick.zoom', null)
+      .call(zoom.transform, zoomRef.current.transform);
+    zoomRef.current.reset = () => g.call(zoom.transform, d3.zoomIdentity);
+
+    g.on('mousemove.hover', (event) => {
+      // no tooltip while dragging out a selection or panning
+      const position = d3.pointer(event, g.node());
+      const hit = event.buttons ? null : pointAt(position);
+      setHovered(hit ? { index: hit.dataIndex, left: position[0] + margin.left, top: position[1] + margin.top } : null);
+    })
+      .on('mouseleave.hover', () => setHovered(null));
 
     let xLabel;
     let yLabel;
     if (clusteringMethod === 'PCA') {
-      xLabel = pcaInfo?.varExplained
-        ? `PC1 (${pcaInfo.varExplained[0].toFixed(1)}% var.)`
-        : 'PC1';
-      yLabel = pcaInfo?.varExplained
-        ? `PC2 (${pcaInfo.varExplained[1].toFixed(1)}% var.)`
-        : 'PC2';
+      [xLabel, yLabel] = components.map(k => (pcaInfo?.varExplained?.[k] !== undefined
+        ? `PC${k + 1} (${pcaInfo.varExplained[k].toFixed(1)}% var.)`
+        : `PC${k + 1}`));
     } else if (clusteringMethod === 'UMAP') {
       xLabel = 'UMAP Dimension 1';
       yLabel = 'UMAP Dimension 2';
+    } else if (clusteringMethod === 't-SNE') {
+      xLabel = 't-SNE Dimension 1';
+      yLabel = 't-SNE Dimension 2';
     } else {
       xLabel = 'Dimension 1';
       yLabel = 'Dimension 2';
@@ -185,7 +558,9 @@ export default function PCAView({
       .attr('text-anchor', 'middle')
       .style('font-size', '14px')
       .style('font-weight', 'bold')
-      .text(`${clusteringMethod} Projection`);
+      .text(isComputing && progress
+        ? `${clusteringMethod} Projection (${stepName} ${progress.epoch} / ${progress.nEpochs})`
+        : `${clusteringMethod} Projection${pcaInfo?.cached ? ' (cached)' : ''}`);
 
     if (pcaInfo?.features) {
       const foreignObj = svg.append('foreignObject')
@@ -194,12 +569,27 @@ export default function PCAView({
         .attr('width', innerWidth)
         .attr('height', 45);
 
-      foreignObj.append('xhtml:div')
+      const caption = foreignObj.append('xhtml:div')
         .style('font-size', '10px')
         .style('color', '#666')
         .style('text-align', 'center')
-        .style('line-height', '1.3')
-        .html(`<strong>Features:</strong> ${pcaInfo.features.join(', ')}`);
+        .style('line-height', '1.3');
+
+      // labels come from the (user-supplied) dictionary, so set them as text
+      caption.append('xhtml:strong').text('Features: ');
+      caption.append('xhtml:span').text(pcaInfo.features.map(f => {
+        const weight = pcaInfo.weights?.[f];
+        return `${metadata[f]?.label || f}${weight !== undefined ? ` ×${weight}` : ''}`;
+      }).join(', '));
+
+      // hyperparameters and seed, so a figure can be reproduced
+      if (pcaInfo.params) {
+        caption.append('xhtml:br');
+        caption.append('xhtml:strong').text('Parameters: ');
+        caption.append('xhtml:span').text(Object.entries(pcaInfo.params)
+          .map(([key, value]) => `${key} ${value}`)
+          .join(' · '));
+      }
     }
 
     // legend for categorical or continuous features
@@ -291,20 +681,39 @@ export default function PCAView({
       }
     }
 
+    layoutRef.current = layout;
+    restyle(layout);
+
+    return () => removeKeyListener?.();
   }, [
     projection,
     validIndices,
     data,
     colorFeature,
     metadata,
-    selectedIndices,
     onBrush,
     pcaInfo,
     clusteringMethod,
-    isComputing
+    isComputing,
+    isStreaming,
+    progress,
+    components,
+    showBiplot,
+    selectionMode,
+    onInspect
   ]);
 
-  if (isComputing) {
+  useEffect(() => {
+    restyle(layoutRef.current);
+  }, [selectedIndices, imputedIndices, highlightedIndices, clusterAssignments, inspectedIndex, individual]);
+
+  // outcome, colour and the first projection features, deduplicated
+  const outcome = metadata ? getOutcomeFeature(metadata) : null;
+  const tooltipFeatures = [...new Set([outcome, colorFeature, ...(pcaInfo?.features ?? [])])]
+    .filter(f => f && data?.[0] && f in data[0] && metadata[f])
+    .slice(0, TOOLTIP_FEATURES);
+
+  if (isComputing && !isStreaming) {
     return (
       <div style={{
         width: '500px',
@@ -324,8 +733,21 @@ export default function PCAView({
           animation: 'spin 1s linear infinite'
         }}></div>
         <div style={{ fontSize: '14px', color: '#666' }}>
-          Computing {clusteringMethod} projection...
+          {progress && progress.epoch > 0
+            ? `Optimizing ${clusteringMethod}: ${stepName} ${progress.epoch} / ${progress.nEpochs}`
+            : `Computing ${clusteringMethod} projection...`}
         </div>
+        {progress && (
+          <div style={{ width: '200px', height: '6px', backgroundColor: '#eee', borderRadius: '3px' }}>
+            <div style={{
+              width: `${(progress.epoch / progress.nEpochs) * 100}%`,
+              height: '100%',
+              backgroundColor: '#3498db',
+              borderRadius: '3px'
+            }}></div>
+          </div>
+        )}
+        <button className="link-button" onClick={onCancel}>Cancel</button>
         <style>
           {`
             @keyframes spin {
@@ -338,5 +760,58 @@ export default function PCAView({
     );
   }
 
-  return <svg ref={svgRef}></svg>;
+  return (
+    <div style={{ position: 'relative' }}>
+      {/* points are drawn on the canvas; axes, legend and selection tools on the svg above it */}
+      <canvas
+        ref={canvasRef}
+        style={{ position: 'absolute', left: `${MARGIN.left}px`, top: `${MARGIN.top}px` }}
+      ></canvas>
+      <svg ref={svgRef} style={{ position: 'relative' }}></svg>
+      {hovered && data[hovered.index] && (
+        <PointTooltip
+          record={data[hovered.index]}
+          index={hovered.index}
+          features={tooltipFeatures}
+          metadata={metadata}
+          left={hovered.left}
+          top={hovered.top}
+          containerWidth={WIDTH}
+        />
+      )}
+      <div style={{ display: 'flex', alignItems: 'center', gap: '10px', fontSize: '12px', color: '#666' }}>
+        <span>Select:</span>
+        {SELECTION_MODES.map(mode => (
+          <button
+            key={mode.id}
+            className="link-button"
+            onClick={() => setSelectionMode(mode.id)}
+            style={{ fontWeight: selectionMode === mode.id ? 'bold' : 'normal' }}
+          >
+            {mode.label}
+          </button>
+        ))}
+        {isZoomed && (
+          <button className="link-button" onClick={() => zoomRef.current.reset?.()}>Reset zoom</button>
+        )}
+        <span style={{ marginLeft: 'auto' }}>
+          {selectionMode === 'pan' ? 'Drag to pan, scroll to zoom' : (
+            <>
+              {selectionMode === 'polygon' ? 'Click to add points, double-click to close. ' : ''}
+              Scroll to zoom. Shift adds, Alt removes
+            </>
+          )}
+        </span>
+      </div>
+      {isComputing && (
+        <button
+          className="link-button"
+          onClick={onCancel}
+          style={{ position: 'absolute', top: '8px', right: '8px' }}
+        >
+          Cancel
+        </button>
+      )}
+    </div>
+  );
 }
@@ -1,35 +1,40 @@
-import { useState, useMemo } from 'react';
+import { useMemo } from 'react';
 import * as d3 from 'd3';
-
-export default function PersonalRiskCalculator({ data, metadata }) {
-  const [userInputs, setUserInputs] = useState({
-    male: '1',
-    age: '50',
-    currentSmoker: '0',
-    cigsPerDay: '0',
-    totChol: '200',
-    sysBP: '120',
-    diaBP: '80',
-    BMI: '25',
-    heartRate: '75',
-    glucose: '85',
-    BPMeds: '0',
-    prevalentStroke: '0',
-    prevalentHyp: '0',
-    diabetes: '0'
-  });
+import { getOutcomeFeature } from '../utils/dataDictionary';
+import { calculatorFeatures, SIMILAR_INDIVIDUALS } from '../utils/records';
+
+const labelStyle = { display: 'block', fontWeight: '500', marginBottom: '4px' };
+const inputStyle = { width: '100%', padding: '6px', borderRadius: '4px', border: '1px solid #ddd' };
+
+// Inputs and their nearest neighbours live in the app, so a participant's record
+// can be loaded into them and the entered person shown in the projection
+export default function PersonalRiskCalculator({
+  data,
+  metadata,
+  inputs: userInputs,
+  onInputsChange,
+  neighbors,
+  showInProjection,
+  onShowInProjectionChange,
+  projectionNote,
+  onSelectNeighbors
+}) {
+  const outcome = getOutcomeFeature(metadata);
+  const { continuousFeatures, binaryFeatures } = useMemo(
+    () => calculatorFeatures(metadata),
+    [metadata]
+  );
 
   const handleInputChange = (feature, value) => {
-    setUserInputs(prev => ({
-      ...prev,
+    onInputsChange({
+      ...userInputs,
       [feature]: value
-    }));
+    });
   };
 
   const ranges = useMemo(() => {
     if (!data) return {};
 
-    const continuousFeatures = ['age', 'cigsPerDay', 'totChol', 'sysBP', 'diaBP', 'BMI', 'heartRate', 'glucose'];
     const rangeData = {};
 
     continuousFeatures.forEach(feature => {
@@ -45,49 +50,13 @@ export default function PersonalRiskCalculator({ data, metadata }) {
     });
 
     return rangeData;
-  }, [data]);
+  }, [data, continuousFeatures]);
 
   const calculatedRisk = useMemo(() => {
-    if (!data || !ranges) return null;
-
-    const continuousFeatures = ['age', 'cigsPerDay', 'totChol', 'sysBP', 'diaBP', 'BMI', 'heartRate', 'glucose'];
-    const binaryFeatures = ['male', 'currentSmoker', 'BPMeds', 'prevalentStroke', 'prevalentHyp', 'diabetes'];
-
-    const distances = data.map(person => {
-      let distanceSum = 0;
-
-      continuousFeatures.forEach(feature => {
-        const userVal = parseFloat(userInputs[feature]);
-        const personVal = person[feature] || 0;
-        const range = ranges[feature];
-
-        const normalized = (userVal - range.min) / (range.max - range.min);
-        const personNormalized = (personVal - range.min) / (range.max - range.min);
-        distanceSum += Math.pow(normalized - personNormalized, 2);
-      });
-
-      binaryFeatures.forEach(feature => {
-        const userVal = parseFloat(userInputs[feature]);
-        const personVal = person[feature] || 0;
-        if (userVal !== personVal) {
-          distanceSum += 1;
-        }
-      });
-
-      return {
-        distance: Math.sqrt(distanceSum),
-        hasCHD: person.TenYearCHD === 1
-      };
-    });
-
-    distances.sort((a, b) => a.distance - b.distance);
-    const k = 50;
-    const neighbors = distances.slice(0, k);
-    const chdCount = neighbors.filter(n => n.hasCHD).length;
-    const riskPercentage = (chdCount / k) * 100;
-
-    return riskPercentage;
-  }, [data, userInputs, ranges]);
+    if (!data || !neighbors || !outcome) return null;
+    const outcomeCount = neighbors.filter(index => data[index][outcome] === 1).length;
+    return (outcomeCount / SIMILAR_INDIVIDUALS) * 100;
+  }, [data, neighbors, outcome]);
 
   const getRangeIndicator = (feature, value) => {
     if (!ranges[feature]) return '';
@@ -105,9 +74,9 @@ export default function PersonalRiskCalculator({ data, metadata }) {
     const { p25, p50, p75 } = ranges[feature];
     const numValue = parseFloat(value);
 
-    if (feature === 'age') return '#666';
-
-    const higherIsBad = ['cigsPerDay', 'totChol', 'sysBP', 'diaBP', 'BMI', 'glucose'].includes(feature);
+    // features the dictionary gives no direction stay neutral
+    const higherIsBad = metadata[feature].higherIsWorse;
+    if (higherIsBad === undefined) return '#666';
 
     if (numValue < p25) return higherIsBad ? '#27ae60' : '#e74c3c';
     if (numValue < p50) return higherIsBad ? '#3498db' : '#f39c12';
@@ -115,6 +84,20 @@ export default function PersonalRiskCalculator({ data, metadata }) {
     return higherIsBad ? '#e74c3c' : '#27ae60';
   };
 
+  const getRangeHint = (feature) => {
+    const { referenceRange } = metadata[feature];
+    if (referenceRange) {
+      const [lo, hi] = referenceRange;
+      return `Reference: ${lo === hi ? lo : `${lo}-${hi}`}`;
+    }
+    const { p25, p75 } = ranges[feature];
+    const digits = Number.isInteger(p25) && Number.isInteger(p75) ? 0 : 1;
+    return `Cohort IQR: ${p25?.toFixed(digits)}-${p75?.toFixed(digits)}`;
+  };
+
+  const inputFeatures = Object.keys(metadata)
+    .filter(f => continuousFeatures.includes(f) || binaryFeatures.includes(f));
+
   return (
     <div style={{
       backgroundColor: 'white',
@@ -133,233 +116,55 @@ export default function PersonalRiskCalculator({ data, metadata }) {
         color: '#e74c3c',
         fontStyle: 'italic'
       }}>
-        * This CHD estimation is based on population data and is not a true reflection of individual risk.
+        * This risk estimation is based on population data and is not a true reflection of individual risk.
         Consult a healthcare professional for accurate assessment.
       </p>
 
       <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '12px', fontSize: '12px' }}>
-        <div>
-          <label style={{ display: 'block', fontWeight: '500', marginBottom: '4px' }}>Sex</label>
-          <select
-            value={userInputs.male}
-            onChange={(e) => handleInputChange('male', e.target.value)}
-            style={{ width: '100%', padding: '6px', borderRadius: '4px', border: '1px solid #ddd' }}
-          >
-            <option value="1">Male</option>
-            <option value="0">Female</option>
-          </select>
-        </div>
-
-        <div>
-          <label style={{ display: 'block', fontWeight: '500', marginBottom: '4px' }}>Age (years)</label>
-          <input
-            type="number"
-            value={userInputs.age}
-            onChange={(e) => handleInputChange('age', e.target.value)}
-            style={{ width: '100%', padding: '6px', borderRadius: '4px', border: '1px solid #ddd' }}
-          />
-        </div>
-
-        <div>
-          <label style={{ display: 'block', fontWeight: '500', marginBottom: '4px' }}>Current Smoker</label>
-          <select
-            value={userInputs.currentSmoker}
-            onChange={(e) => handleInputChange('currentSmoker', e.target.value)}
-            style={{ width: '100%', padding: '6px', borderRadius: '4px', border: '1px solid #ddd' }}
-          >
-            <option value="0">No</option>
-            <option value="1">Yes</option>
-          </select>
-        </div>
-
-        <div>
-          <label style={{ display: 'block', fontWeight: '500', marginBottom: '4px' }}>
-            Cigarettes Per Day
-            <span style={{ color: getRangeColor('cigsPerDay', userInputs.cigsPerDay), marginLeft: '4px', fontSize: '10px' }}>
-              {getRangeIndicator('cigsPerDay', userInputs.cigsPerDay)}
-            </span>
-          </label>
-          <input
-            type="number"
-            value={userInputs.cigsPerDay}
-            onChange={(e) => handleInputChange('cigsPerDay', e.target.value)}
-            style={{ width: '100%', padding: '6px', borderRadius: '4px', border: '1px solid #ddd' }}
-          />
-          {ranges.cigsPerDay && (
-            <div style={{ fontSize: '10px', color: '#888', marginTop: '2px' }}>
-              Normal: 0-{ranges.cigsPerDay.p50?.toFixed(0)}
-            </div>
-          )}
-        </div>
-
-        <div>
-          <label style={{ display: 'block', fontWeight: '500', marginBottom: '4px' }}>
-            Total Cholesterol (mg/dL)
-            <span style={{ color: getRangeColor('totChol', userInputs.totChol), marginLeft: '4px', fontSize: '10px' }}>
-              {getRangeIndicator('totChol', userInputs.totChol)}
-            </span>
-          </label>
-          <input
-            type="number"
-            value={userInputs.totChol}
-            onChange={(e) => handleInputChange('totChol', e.target.value)}
-            style={{ width: '100%', padding: '6px', borderRadius: '4px', border: '1px solid #ddd' }}
-          />
-          {ranges.totChol && (
-            <div style={{ fontSize: '10px', color: '#888', marginTop: '2px' }}>
-              Normal: {ranges.totChol.p25?.toFixed(0)}-{ranges.totChol.p75?.toFixed(0)}
-            </div>
-          )}
-        </div>
-
-        <div>
-          <label style={{ display: 'block', fontWeight: '500', marginBottom: '4px' }}>
-            Systolic BP (mmHg)
-            <span style={{ color: getRangeColor('sysBP', userInputs.sysBP), marginLeft: '4px', fontSize: '10px' }}>
-              {getRangeIndicator('sysBP', userInputs.sysBP)}
-            </span>
-          </label>
-          <input
-            type="number"
-            value={userInputs.sysBP}
-            onChange={(e) => handleInputChange('sysBP', e.target.value)}
-            style={{ width: '100%', padding: '6px', borderRadius: '4px', border: '1px solid #ddd' }}
-          />
-          {ranges.sysBP && (
-            <div style={{ fontSize: '10px', color: '#888', marginTop: '2px' }}>
-              Normal: {ranges.sysBP.p25?.toFixed(0)}-{ranges.sysBP.p75?.toFixed(0)}
+        {inputFeatures.map(feature => {
+          const meta = metadata[feature];
+          const label = meta.unit ? `${meta.label} (${meta.unit})` : meta.label;
+
+          if (meta.type === 'binary') {
+            return (
+              <div key={feature}>
+                <label style={labelStyle}>{meta.label}</label>
+                <select
+                  value={userInputs[feature] ?? ''}
+                  onChange={(e) => handleInputChange(feature, e.target.value)}
+                  style={inputStyle}
+                >
+                  {meta.domain.map(value => (
+                    <option key={value} value={value}>{meta.labels ? meta.labels[value] : value}</option>
+                  ))}
+                </select>
+              </div>
+            );
+          }
+
+          return (
+            <div key={feature}>
+              <label style={labelStyle}>
+                {label}
+                <span style={{ color: getRangeColor(feature, userInputs[feature]), marginLeft: '4px', fontSize: '10px' }}>
+                  {getRangeIndicator(feature, userInputs[feature])}
+                </span>
+              </label>
+              <input
+                type="number"
+                step="any"
+                value={userInputs[feature] ?? ''}
+                onChange={(e) => handleInputChange(feature, e.target.value)}
+                style={inputStyle}
+              />
+              {ranges[feature] && (
+                <div style={{ fontSize: '10px', color: '#888', marginTop: '2px' }}>
+                  {getRangeHint(feature)}
+                </div>
+              )}
             </div>
-          )}
-        </div>
-
-        <div>
-          <label style={{ display: 'block', fontWeight: '500', marginBottom: '4px' }}>
-            Diastolic BP (mmHg)
-            <span style={{ color: getRangeColor('diaBP', userInputs.diaBP), marginLeft: '4px', fontSize: '10px' }}>
-              {getRangeIndicator('diaBP', userInputs.diaBP)}
-            </span>
-          </label>
-          <input
-            type="number"
-            value={userInputs.diaBP}
-            onChange={(e) => handleInputChange('diaBP', e.target.value)}
-            style={{ width: '100%', padding: '6px', borderRadius: '4px', border: '1px solid #ddd' }}
-          />
-          {ranges.diaBP && (
-            <div style={{ fontSize: '10px', color: '#888', marginTop: '2px' }}>
-              Normal: {ranges.diaBP.p25?.toFixed(0)}-{ranges.diaBP.p75?.toFixed(0)}
-            </div>
-          )}
-        </div>
-
-        <div>
-          <label style={{ display: 'block', fontWeight: '500', marginBottom: '4px' }}>
-            BMI
-            <span style={{ color: getRangeColor('BMI', userInputs.BMI), marginLeft: '4px', fontSize: '10px' }}>
-              {getRangeIndicator('BMI', userInputs.BMI)}
-            </span>
-          </label>
-          <input
-            type="number"
-            step="0.1"
-            value={userInputs.BMI}
-            onChange={(e) => handleInputChange('BMI', e.target.value)}
-            style={{ width: '100%', padding: '6px', borderRadius: '4px', border: '1px solid #ddd' }}
-          />
-          {ranges.BMI && (
-            <div style={{ fontSize: '10px', color: '#888', marginTop: '2px' }}>
-              Normal: {ranges.BMI.p25?.toFixed(1)}-{ranges.BMI.p75?.toFixed(1)}
-            </div>
-          )}
-        </div>
-
-        <div>
-          <label style={{ display: 'block', fontWeight: '500', marginBottom: '4px' }}>
-            Heart Rate (bpm)
-            <span style={{ color: getRangeColor('heartRate', userInputs.heartRate), marginLeft: '4px', fontSize: '10px' }}>
-              {getRangeIndicator('heartRate', userInputs.heartRate)}
-            </span>
-          </label>
-          <input
-            type="number"
-            value={userInputs.heartRate}
-            onChange={(e) => handleInputChange('heartRate', e.target.value)}
-            style={{ width: '100%', padding: '6px', borderRadius: '4px', border: '1px solid #ddd' }}
-          />
-          {ranges.heartRate && (
-            <div style={{ fontSize: '10px', color: '#888', marginTop: '2px' }}>
-              Normal: {ranges.heartRate.p25?.toFixed(0)}-{ranges.heartRate.p75?.toFixed(0)}
-            </div>
-          )}
-        </div>
-
-        <div>
-          <label style={{ display: 'block', fontWeight: '500', marginBottom: '4px' }}>
-            Glucose (mg/dL)
-            <span style={{ color: getRangeColor('glucose', userInputs.glucose), marginLeft: '4px', fontSize: '10px' }}>
-              {getRangeIndicator('glucose', userInputs.glucose)}
-            </span>
-          </label>
-          <input
-            type="number"
-            value={userInputs.glucose}
-            onChange={(e) => handleInputChange('glucose', e.target.value)}
-            style={{ width: '100%', padding: '6px', borderRadius: '4px', border: '1px solid #ddd' }}
-          />
-          {ranges.glucose && (
-            <div style={{ fontSize: '10px', color: '#888', marginTop: '2px' }}>
-              Normal: {ranges.glucose.p25?.toFixed(0)}-{ranges.glucose.p75?.toFixed(0)}
-            </div>
-          )}
-        </div>
-
-        <div>
-          <label style={{ display: 'block', fontWeight: '500', marginBottom: '4px' }}>On BP Medication</label>
-          <select
-            value={userInputs.BPMeds}
-            onChange={(e) => handleInputChange('BPMeds', e.target.value)}
-            style={{ width: '100%', padding: '6px', borderRadius: '4px', border: '1px solid #ddd' }}
-          >
-            <option value="0">No</option>
-            <option value="1">Yes</option>
-          </select>
-        </div>
-
-        <div>
-          <label style={{ display: 'block', fontWeight: '500', marginBottom: '4px' }}>History of Stroke</label>
-          <select
-            value={userInputs.prevalentStroke}
-            onChange={(e) => handleInputChange('prevalentStroke', e.target.value)}
-            style={{ width: '100%', padding: '6px', borderRadius: '4px', border: '1px solid #ddd' }}
-          >
-            <option value="0">No</option>
-            <option value="1">Yes</option>
-          </select>
-        </div>
-
-        <div>
-          <label style={{ display: 'block', fontWeight: '500', marginBottom: '4px' }}>Hypertension</label>
-          <select
-            value={userInputs.prevalentHyp}
-            onChange={(e) => handleInputChange('prevalentHyp', e.target.value)}
-            style={{ width: '100%', padding: '6px', borderRadius: '4px', border: '1px solid #ddd' }}
-          >
-            <option value="0">No</option>
-            <option value="1">Yes</option>
-          </select>
-        </div>
-
-        <div>
-          <label style={{ display: 'block', fontWeight: '500', marginBottom: '4px' }}>Diabetes</label>
-          <select
-            value={userInputs.diabetes}
-            onChange={(e) => handleInputChange('diabetes', e.target.value)}
-            style={{ width: '100%', padding: '6px', borderRadius: '4px', border: '1px solid #ddd' }}
-          >
-            <option value="0">No</option>
-            <option value="1">Yes</option>
-          </select>
-        </div>
+          );
+        })}
       </div>
 
       {calculatedRisk !== null && (
@@ -372,7 +177,7 @@ export default function PersonalRiskCalculator({ data, metadata }) {
           textAlign: 'center'
         }}>
           <div style={{ fontSize: '13px', fontWeight: '500', marginBottom: '6px' }}>
-            Estimated 10-Year CHD Risk
+            Estimated {metadata[outcome].label} Risk
           </div>
           <div style={{
             fontSize: '28px',
@@ -382,10 +187,35 @@ export default function PersonalRiskCalculator({ data, metadata }) {
             {calculatedRisk.toFixed(1)}%
           </div>
           <div style={{ fontSize: '11px', color: '#666', marginTop: '6px' }}>
-            Based on 50 most similar individuals in dataset
+            Based on {SIMILAR_INDIVIDUALS} most similar individuals in dataset
           </div>
         </div>
       )}
+
+      <div style={{ marginTop: '12px', fontSize: '12px', display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '6px 12px' }}>
+        <label style={{ display: 'flex', alignItems: 'center', gap: '4px', cursor: 'pointer' }}>
+          <input
+            type="checkbox"
+            checked={showInProjection}
+            onChange={(e) => onShowInProjectionChange(e.target.checked)}
+          />
+          Show in projection
+        </label>
+        {showInProjection && (
+          <button className="link-button" onClick={onSelectNeighbors}>
+            Select the {SIMILAR_INDIVIDUALS} similar individuals
+          </button>
+        )}
+        {showInProjection && projectionNote && (
+          <div style={{ width: '100%', fontSize: '11px', color: '#888' }}>{projectionNote}</div>
+        )}
+      </div>
+
+      {!outcome && (
+        <div style={{ marginTop: '20px', fontSize: '12px', color: '#666', textAlign: 'center' }}>
+          Mark an outcome column in the data dictionary to estimate risk.
+        </div>
+      )}
     </div>
   );
 }
@@ -0,0 +1,34 @@
+import { formatValue } from '../utils/dataDictionary';
+
+// Key values of the participant under the cursor; left/top are the cursor position
+// within the (relatively positioned) chart container
+export default function PointTooltip({ record, index, features, metadata, left, top, containerWidth }) {
+  // flip to the cursor's left near the right edge
+  const flip = left > containerWidth - 180;
+  return (
+    <div style={{
+      position: 'absolute',
+      left: flip ? undefined : `${left + 14}px`,
+      right: flip ? `${containerWidth - left + 14}px` : undefined,
+      top: `${top + 10}px`,
+      pointerEvents: 'none',
+      backgroundColor: 'white',
+      border: '1px solid #ddd',
+      borderRadius: '4px',
+      padding: '6px 8px',
+      fontSize: '11px',
+      lineHeight: '1.4',
+      whiteSpace: 'nowrap',
+      boxShadow: '0 2px 6px rgba(0,0,0,0.15)',
+      zIndex: 2
+    }}>
+      <div style={{ fontWeight: 'bold' }}>Participant {index + 1}</div>
+      {features.map(f => (
+        <div key={f}>
+          <span style={{ color: '#666' }}>{metadata[f].label}:</span> {formatValue(record[f], metadata[f])}
+        </div>
+      ))}
+      <div style={{ color: '#999', marginTop: '2px' }}>Click to inspect</div>
+    </div>
+  );
+}
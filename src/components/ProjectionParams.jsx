@@ -0,0 +1,51 @@
+import { useState, useEffect } from 'react';
+
+// Numeric hyperparameters for the selected projection method. Edits stay local
+// until "Apply", so typing does not restart a long-running embedding per keystroke.
+export default function ProjectionParams({ fields, values, onApply }) {
+  const [draft, setDraft] = useState(values);
+
+  useEffect(() => {
+    setDraft(values);
+  }, [values]);
+
+  const isValid = fields.every(f => {
+    const v = draft[f.key];
+    if (f.options) return f.options.includes(v);
+    return Number.isFinite(v) && v >= f.min && (f.max === undefined || v <= f.max);
+  });
+  const isDirty = fields.some(f => draft[f.key] !== values[f.key]);
+
+  return (
+    <div className="control-group projection-params">
+      {fields.map(f => (
+        <label key={f.key} title={f.title}>
+          {f.label}
+          {f.options ? (
+            <select
+              value={draft[f.key]}
+              onChange={(e) => setDraft({ ...draft, [f.key]: e.target.value })}
+            >
+              {f.options.map(o => <option key={o} value={o}>{o}</option>)}
+            </select>
+          ) : (
+            <input
+              type="number"
+              value={Number.isFinite(draft[f.key]) ? draft[f.key] : ''}
+              min={f.min}
+              max={f.max}
+              step={f.step}
+              onChange={(e) => setDraft({ ...draft, [f.key]: e.target.valueAsNumber })}
+              onKeyDown={(e) => {
+                if (e.key === 'Enter' && isValid && isDirty) onApply(draft);
+              }}
+            />
+          )}
+        </label>
+      ))}
+      <button onClick={() => onApply(draft)} disabled={!isValid || !isDirty}>
+        Apply
+      </button>
+    </div>
+  );
+}
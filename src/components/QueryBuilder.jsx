@@ -0,0 +1,154 @@
+import { useState, useEffect } from 'react';
+import { runQuery, formatCriterion, QUERY_OPERATORS } from '../utils/queryLanguage';
+
+const inputStyle = { fontSize: '12px' };
+
+// Values offered for a column in the form: its labels or categories, if it has few
+function choicesFor(meta) {
+  if (meta.labels) return Object.entries(meta.labels).map(([value, label]) => ({ value, label }));
+  if (meta.type !== 'numeric' && meta.domain) return meta.domain.map(v => ({ value: String(v), label: String(v) }));
+  return null;
+}
+
+function emptyCriterion(columns) {
+  return { column: columns[0], op: '>=', value: '' };
+}
+
+// Criteria as text: the form writes expressions in the same language the
+// editor accepts, so either can be used to build a query
+function criteriaText(criteria, match, metadata) {
+  const parts = criteria
+    .filter(c => c.op.includes('missing') || c.value !== '')
+    .map(c => {
+      if (c.op.includes('missing')) return formatCriterion(c.column, c.op);
+      // labelled columns are written by label; other coded columns by their
+      // value as it is in the data, so numeric codes stay numbers
+      const meta = metadata[c.column];
+      const label = meta.labels?.[c.value];
+      if (label !== undefined) return formatCriterion(c.column, c.op, label);
+      const coded = meta.domain?.find(v => String(v) === c.value);
+      if (coded !== undefined && meta.type !== 'numeric') return formatCriterion(c.column, c.op, coded);
+      const number = Number(c.value);
+      return formatCriterion(c.column, c.op, Number.isNaN(number) ? c.value : number);
+    });
+  return parts.join(match === 'all' ? ' AND ' : ' OR ');
+}
+
+export default function QueryBuilder({ data, metadata, query, error, matchCount, onApply, onClear }) {
+  const columns = Object.keys(metadata).filter(f => metadata[f].type !== 'text');
+  const [text, setText] = useState(query ?? '');
+  const [parseError, setParseError] = useState(null);
+  const [criteria, setCriteria] = useState(() => [emptyCriterion(columns)]);
+  const [match, setMatch] = useState('all');
+
+  // follow a query set from elsewhere, such as a restored session
+  useEffect(() => {
+    if (query !== null) setText(query);
+  }, [query]);
+
+  const apply = (expression) => {
+    const result = runQuery(expression, data, metadata);
+    if (result.error) {
+      setParseError(result.error);
+      return;
+    }
+    setParseError(null);
+    setText(expression);
+    onApply(expression);
+  };
+
+  const updateCriterion = (i, changes) =>
+    setCriteria(criteria.map((c, j) => (j === i ? { ...c, ...changes } : c)));
+
+  const shownError = parseError ?? error;
+  const formText = criteriaText(criteria, match, metadata);
+
+  return (
+    <div style={{ fontSize: '12px' }}>
+      {criteria.map((c, i) => {
+        const choices = choicesFor(metadata[c.column]);
+        return (
+          <div key={i} className="control-group" style={{ marginBottom: '4px' }}>
+            <select
+              value={c.column}
+              onChange={(e) => updateCriterion(i, { column: e.target.value, value: '' })}
+              style={inputStyle}
+            >
+              {columns.map(f => <option key={f} value={f}>{metadata[f].label}</option>)}
+            </select>
+            <select value={c.op} onChange={(e) => updateCriterion(i, { op: e.target.value })} style={inputStyle}>
+              {QUERY_OPERATORS.map(op => <option key={op} value={op}>{op}</option>)}
+              <option value="missing">is missing</option>
+              <option value="not missing">is not missing</option>
+            </select>
+            {!c.op.includes('missing') && (choices ? (
+              <select value={c.value} onChange={(e) => updateCriterion(i, { value: e.target.value })} style={inputStyle}>
+                <option value="">…</option>
+                {choices.map(ch => <option key={ch.value} value={ch.value}>{ch.label}</option>)}
+              </select>
+            ) : (
+              <input
+                type="number"
+                value={c.value}
+                onChange={(e) => updateCriterion(i, { value: e.target.value })}
+                style={{ ...inputStyle, width: '70px' }}
+              />
+            ))}
+            <button
+              className="link-button"
+              onClick={() => setCriteria(criteria.filter((_, j) => j !== i))}
+              disabled={criteria.length === 1}
+              title="Remove this criterion"
+            >
+              Remove
+            </button>
+          </div>
+        );
+      })}
+      <div className="control-group" style={{ marginBottom: '10px' }}>
+        <button className="link-button" onClick={() => setCriteria([...criteria, emptyCriterion(columns)])}>
+          + Add criterion
+        </button>
+        <label>Match:</label>
+        <select value={match} onChange={(e) => setMatch(e.target.value)} style={inputStyle}>
+          <option value="all">all (AND)</option>
+          <option value="any">any (OR)</option>
+        </select>
+        <button onClick={() => apply(formText)} disabled={!formText}>Apply criteria</button>
+      </div>
+
+      <textarea
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        onKeyDown={(e) => {
+          if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) apply(text);
+        }}
+        rows={3}
+        spellCheck={false}
+        placeholder="age >= 50 AND sysBP > 140 AND diabetes = 1"
+        style={{ width: '100%', boxSizing: 'border-box', fontFamily: 'monospace', fontSize: '12px' }}
+      />
+      {shownError && (
+        <div style={{ color: 'red', marginTop: '4px' }}>
+          {Number.isInteger(shownError.position) && shownError === parseError && (
+            <pre style={{ margin: '0 0 2px', fontSize: '11px', overflowX: 'auto' }}>
+              {text}{'\n'}{' '.repeat(shownError.position)}^
+            </pre>
+          )}
+          {shownError.message}
+        </div>
+      )}
+      <div className="control-group" style={{ marginTop: '6px' }}>
+        <button onClick={() => apply(text)} disabled={!text.trim()} title="Ctrl+Enter">Apply query</button>
+        <button onClick={onClear} disabled={query === null} title="Keep the selection but stop re-applying the query">
+          Stop updating
+        </button>
+        <span style={{ color: '#666' }}>
+          {query !== null
+            ? `Live: ${matchCount} matching; re-applied when the data changes`
+            : 'Columns by name; AND, OR, NOT, IN (…), IS [NOT] MISSING; comparisons with missing values are false'}
+        </span>
+      </div>
+    </div>
+  );
+}
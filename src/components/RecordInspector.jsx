@@ -0,0 +1,125 @@
+import { useMemo } from 'react';
+import * as d3 from 'd3';
+import { preprocessData } from '../utils/dataLoader';
+import { formatValue, getOutcomeFeature } from '../utils/dataDictionary';
+import { isMissing } from '../utils/missingness';
+import { percentileOf, nearestRows } from '../utils/records';
+
+const NEIGHBORS = 5;
+
+const cellStyle = { padding: '2px 6px' };
+
+function ordinal(n) {
+  const teen = n % 100 >= 11 && n % 100 <= 13;
+  const suffix = teen ? 'th' : ({ 1: 'st', 2: 'nd', 3: 'rd' }[n % 10] ?? 'th');
+  return `${n}${suffix}`;
+}
+
+// Full record of one participant: each value against the cohort, and the most
+// similar participants in the projection's feature space
+export default function RecordInspector({
+  data,
+  metadata,
+  index,
+  features,
+  options,
+  onInspect,
+  onLoadIntoCalculator,
+  onClose
+}) {
+  const record = data[index];
+  const outcome = getOutcomeFeature(metadata);
+  const columns = Object.keys(metadata);
+
+  const sortedValues = useMemo(() => {
+    const sorted = {};
+    Object.keys(metadata)
+      .filter(f => metadata[f].type === 'numeric')
+      .forEach(f => {
+        sorted[f] = d3.sort(data.map(d => d[f]).filter(v => !isMissing(v)));
+      });
+    return sorted;
+  }, [data, metadata]);
+
+  // standardized, weighted and imputed exactly as for the projection
+  const featureSpace = useMemo(
+    () => (features.length > 0 ? preprocessData(data, features, options) : null),
+    [data, features, options]
+  );
+
+  const neighbors = useMemo(() => {
+    if (!featureSpace) return null;
+    const r = featureSpace.validIndices.indexOf(index);
+    if (r < 0) return null;
+    return nearestRows(featureSpace.normalized, r, NEIGHBORS)
+      .map(({ row, distance }) => ({ index: featureSpace.validIndices[row], distance }));
+  }, [featureSpace, index]);
+
+  // numeric columns: percentile; categories: share of the cohort with the same value
+  const standing = (f) => {
+    const value = record[f];
+    if (isMissing(value)) return '';
+    if (sortedValues[f]) {
+      const p = percentileOf(sortedValues[f], value);
+      return p === null ? '' : `${ordinal(Math.round(p))} pct.`;
+    }
+    if (metadata[f].type === 'text') return '';
+    const known = data.filter(d => !isMissing(d[f]));
+    const same = known.filter(d => d[f] === value).length;
+    return known.length > 0 ? `${((same / known.length) * 100).toFixed(0)}% share` : '';
+  };
+
+  return (
+    <div style={{ fontSize: '12px' }}>
+      <div style={{ display: 'flex', alignItems: 'center', gap: '10px', marginBottom: '8px' }}>
+        <h3 style={{ margin: 0, fontSize: '14px' }}>Participant {index + 1}</h3>
+        <button className="link-button" onClick={() => onLoadIntoCalculator(index)}>Load into calculator</button>
+        <button className="link-button" onClick={onClose} style={{ marginLeft: 'auto' }} title="Close the inspector">
+          Close
+        </button>
+      </div>
+
+      <table style={{ borderCollapse: 'collapse', width: '100%' }}>
+        <tbody>
+          {columns.map(f => (
+            <tr key={f} style={{ borderBottom: '1px solid #f0f0f0' }}>
+              <td style={{ ...cellStyle, color: '#666' }}>{metadata[f].label}</td>
+              <td style={{ ...cellStyle, fontWeight: f === outcome ? 'bold' : 'normal' }}>
+                {formatValue(record[f], metadata[f])}
+              </td>
+              <td style={{ ...cellStyle, color: '#888', textAlign: 'right', whiteSpace: 'nowrap' }}>{standing(f)}</td>
+            </tr>
+          ))}
+        </tbody>
+      </table>
+
+      <div style={{ marginTop: '12px', fontWeight: 'bold' }}>Nearest neighbours</div>
+      {neighbors ? (
+        <table style={{ borderCollapse: 'collapse', marginTop: '4px' }}>
+          <thead>
+            <tr style={{ color: '#666', textAlign: 'left' }}>
+              <th style={cellStyle}>Participant</th>
+              <th style={cellStyle}>Distance</th>
+              {outcome && <th style={cellStyle}>{metadata[outcome].label}</th>}
+            </tr>
+          </thead>
+          <tbody>
+            {neighbors.map(n => (
+              <tr key={n.index}>
+                <td style={cellStyle}>
+                  <button className="link-button" onClick={() => onInspect(n.index)}>#{n.index + 1}</button>
+                </td>
+                <td style={{ ...cellStyle, textAlign: 'right' }}>{n.distance.toFixed(2)}</td>
+                {outcome && <td style={cellStyle}>{formatValue(data[n.index][outcome], metadata[outcome])}</td>}
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      ) : (
+        <div style={{ color: '#666', marginTop: '4px' }}>
+          Not in the analysis: this participant is missing values the chosen strategy does not impute.
+        </div>
+      )}
+    </div>
+  );
+}
@@ -1,28 +1,118 @@
 import { useEffect, useRef, useState } from 'react';
 import * as d3 from 'd3';
+import { setupCanvas, drawPoints, sortByStyle, buildPointIndex, findPoint } from '../utils/pointRenderer';
+import { getOutcomeFeature } from '../utils/dataDictionary';
+import { SELECTION_COLOR } from '../utils/cohorts';
+import PointTooltip from './PointTooltip';
 
-export default function ScatterComparison({ data, selectedIndices, pinnedIndices, metadata }) {
+const WIDTH = 500;
+const HEIGHT = 400;
+const MARGIN = { top: 40, right: 20, bottom: 60, left: 70 };
+const MAX_ZOOM = 40;
+const HIT_RADIUS = 6;
+
+export default function ScatterComparison({
+  data,
+  selectedIndices,
+  cohorts = [],
+  metadata,
+  axes,
+  onAxesChange,
+  inspectedIndex = null,
+  onInspect
+}) {
   const svgRef = useRef();
-  const [xFeature, setXFeature] = useState('age');
-  const [yFeature, setYFeature] = useState('cigsPerDay');
+  const canvasRef = useRef();
+  // kept across selection changes, reset when the axes change
+  const zoomRef = useRef({ axes: null, transform: d3.zoomIdentity, reset: null });
+  const [isZoomed, setIsZoomed] = useState(false);
+  const [hovered, setHovered] = useState(null);
+  // the current layout's points, ring, legend and render function, restyled in place
+  const layoutRef = useRef(null);
+  // layouts built so far, written to the svg so a restyle can be told from a rebuild
+  const layoutBuildsRef = useRef(0);
+  const { x: xFeature, y: yFeature } = axes;
+
+  const continuousFeatures = Object.keys(metadata).filter(f => metadata[f].type === 'numeric');
+
+  // Fall back to the first numeric columns when the dataset has no age/cigsPerDay
+  const xKey = continuousFeatures.includes(xFeature) ? xFeature : continuousFeatures[0];
+  const yKey = continuousFeatures.includes(yFeature)
+    ? yFeature
+    : continuousFeatures[1] ?? continuousFeatures[0];
+
+  // Fill, size and draw order of every point for the cohorts and the
+  // selection, the inspected ring and the legend. Cheap next to the layout,
+  // so selection changes only redo this.
+  const restyle = (layout) => {
+    if (!layout) return;
+
+    const selectedSet = new Set(selectedIndices);
+    // a point in several cohorts takes the colour of the last one listed
+    const cohortColor = new Map();
+    cohorts.forEach(c => c.indices.forEach(i => cohortColor.set(i, c.color)));
+
+    layout.points.forEach(p => {
+      if (cohortColor.has(p.dataIndex)) {
+        Object.assign(p, { fill: cohortColor.get(p.dataIndex), radius: 3.5, opacity: 0.7, rank: 2 });
+      } else if (selectedSet.has(p.dataIndex)) {
+        Object.assign(p, { fill: SELECTION_COLOR, radius: 3.5, opacity: 0.7, rank: 1 });
+      } else {
+        Object.assign(p, { fill: '#ccc', radius: 2, opacity: 0.4, rank: 0 });
+      }
+    });
+
+    // cohorts on top of selected on top of the rest
+    const ordered = sortByStyle(layout.points, p => p.rank);
+    const inspected = layout.points.find(p => p.dataIndex === inspectedIndex);
+    layout.ring.style('display', inspected ? null : 'none');
+
+    const legendItems = [
+      ...cohorts
+        .filter(c => c.indices.length > 0)
+        .map(c => ({ color: c.color, label: `${c.name} (${c.indices.length})` })),
+      ...(selectedIndices.length > 0
+        ? [{ color: SELECTION_COLOR, label: `Selected (${selectedIndices.length})` }]
+        : [])
+    ];
+
+    layout.legend.selectAll('*').remove();
+    legendItems.forEach((item, i) => {
+      layout.legend.append('circle')
+        .attr('cx', 0)
+        .attr('cy', i * 18)
+        .attr('r', 4)
+        .attr('fill', item.color)
+        .attr('opacity', 0.7);
 
-  const continuousFeatures = [
-    'age', 'cigsPerDay', 'totChol', 'sysBP', 'diaBP',
-    'BMI', 'heartRate', 'glucose'
-  ];
+      layout.legend.append('text')
+        .attr('x', 10)
+        .attr('y', i * 18)
+        .attr('dy', '0.35em')
+        .style('font-size', '11px')
+        .text(item.label.length > 22 ? `${item.label.slice(0, 21)}…` : item.label);
+    });
+
+    layout.style = { ordered, inspected };
+    layout.render();
+  };
 
+  // Layout: scales, axes, point positions and their index, and zoom. Rebuilt
+  // only when the data or the plotted columns change.
   useEffect(() => {
-    if (!data || !svgRef.current) return;
+    layoutRef.current = null;
+    if (!data || !svgRef.current || !xKey || !yKey) return;
 
-    const width = 500;
-    const height = 400;
-    const margin = { top: 40, right: 20, bottom: 60, left: 70 };
+    const width = WIDTH;
+    const height = HEIGHT;
+    const margin = MARGIN;
 
     d3.select(svgRef.current).selectAll('*').remove();
 
     const svg = d3.select(svgRef.current)
       .attr('width', width)
-      .attr('height', height);
+      .attr('height', height)
+      .attr('data-layout-builds', ++layoutBuildsRef.current);
 
     const chartWidth = width - margin.left - margin.right;
     const chartHeight = height - margin.top - margin.bottom;
@@ -30,32 +120,47 @@ export default function ScatterComparison({ data, selectedIndices, pinnedIndices
     const g = svg.append('g')
       .attr('transform', `translate(${margin.left},${margin.top})`);
 
-    const validData = data.filter(d =>
-      d[xFeature] !== null &&
-      d[xFeature] !== undefined &&
-      !isNaN(d[xFeature]) &&
-      d[yFeature] !== null &&
-      d[yFeature] !== undefined &&
-      !isNaN(d[yFeature])
-    );
+    // keep each row's index alongside it rather than looking it up again per point
+    const validIndices = d3.range(data.length).filter(i => {
+      const d = data[i];
+      return d[xKey] !== null &&
+        d[xKey] !== undefined &&
+        !isNaN(d[xKey]) &&
+        d[yKey] !== null &&
+        d[yKey] !== undefined &&
+        !isNaN(d[yKey]);
+    });
+    const validData = validIndices.map(i => data[i]);
 
     const xScale = d3.scaleLinear()
-      .domain(d3.extent(validData, d => d[xFeature]))
+      .domain(d3.extent(validData, d => d[xKey]))
       .range([0, chartWidth])
       .nice();
 
     const yScale = d3.scaleLinear()
-      .domain(d3.extent(validData, d => d[yFeature]))
+      .domain(d3.extent(validData, d => d[yKey]))
       .range([chartHeight, 0])
       .nice();
 
-    g.append('g')
+    const axes = `${xKey}|${yKey}`;
+    if (zoomRef.current.axes !== axes) {
+      zoomRef.current.axes = axes;
+      zoomRef.current.transform = d3.zoomIdentity;
+    }
+
+    // drag pans, wheel zooms
+    g.append('rect')
+      .attr('class', 'zoom-surface')
+      .attr('width', chartWidth)
+      .attr('height', chartHeight)
+      .attr('fill', 'transparent')
+      .style('cursor', 'grab');
+
+    const xAxis = g.append('g')
       .attr('transform', `translate(0,${chartHeight})`)
-      .call(d3.axisBottom(xScale).ticks(8))
       .style('font-size', '11px');
 
-    g.append('g')
-      .call(d3.axisLeft(yScale).ticks(8))
+    const yAxis = g.append('g')
       .style('font-size', '11px');
 
     g.append('text')
@@ -64,7 +169,7 @@ export default function ScatterComparison({ data, selectedIndices, pinnedIndices
       .attr('text-anchor', 'middle')
       .style('font-size', '12px')
       .style('font-weight', '500')
-      .text(metadata[xFeature]?.label || xFeature);
+      .text(metadata[xKey]?.label || xKey);
 
     g.append('text')
       .attr('transform', 'rotate(-90)')
@@ -73,7 +178,7 @@ export default function ScatterComparison({ data, selectedIndices, pinnedIndices
       .attr('text-anchor', 'middle')
       .style('font-size', '12px')
       .style('font-weight', '500')
-      .text(metadata[yFeature]?.label || yFeature);
+      .text(metadata[yKey]?.label || yKey);
 
     svg.append('text')
       .attr('x', width / 2)
@@ -83,78 +188,85 @@ export default function ScatterComparison({ data, selectedIndices, pinnedIndices
       .style('font-weight', '600')
       .text('Group Comparison Scatter Plot');
 
-    const selectedSet = new Set(selectedIndices);
-    const pinnedSet = new Set(pinnedIndices);
-
-    validData.forEach((d, i) => {
-      const originalIndex = data.indexOf(d);
-      const isSelected = selectedSet.has(originalIndex);
-      const isPinned = pinnedSet.has(originalIndex);
-
-      let color = '#ccc';
-      let radius = 2;
-      let opacity = 0.4;
-
-      if (isPinned) {
-        color = '#e74c3c';
-        radius = 3.5;
-        opacity = 0.7;
-      } else if (isSelected) {
-        color = '#3498db';
-        radius = 3.5;
-        opacity = 0.7;
-      }
+    // bx/by: unzoomed pixel position; restyle fills in the rest
+    const points = validIndices.map(index => ({
+      dataIndex: index,
+      bx: xScale(data[index][xKey]),
+      by: yScale(data[index][yKey]),
+      stroke: null
+    }));
 
-      g.append('circle')
-        .attr('cx', xScale(d[xFeature]))
-        .attr('cy', yScale(d[yFeature]))
-        .attr('r', radius)
-        .attr('fill', color)
-        .attr('opacity', opacity);
-    });
+    const pointIndex = buildPointIndex(points);
+    const pointAt = (position) => findPoint(pointIndex, zoomRef.current.transform, position, HIT_RADIUS);
+    const ctx = setupCanvas(canvasRef.current, chartWidth, chartHeight);
 
-    if (pinnedIndices.length > 0 || selectedIndices.length > 0) {
-      const legend = svg.append('g')
-        .attr('transform', `translate(${width - 150}, 40)`);
+    const ring = g.append('circle')
+      .attr('r', 6)
+      .attr('fill', 'none')
+      .attr('stroke', '#2c3e50')
+      .attr('stroke-width', 2)
+      .style('pointer-events', 'none')
+      .style('display', 'none');
 
-      let yOffset = 0;
+    const legend = svg.append('g')
+      .attr('transform', `translate(${width - 150}, 40)`);
 
-      if (pinnedIndices.length > 0) {
-        legend.append('circle')
-          .attr('cx', 0)
-          .attr('cy', yOffset)
-          .attr('r', 4)
-          .attr('fill', '#e74c3c')
-          .attr('opacity', 0.7);
+    const layout = { points, ring, legend, style: null };
+    layout.render = () => {
+      const transform = zoomRef.current.transform;
+      // nothing to draw until restyle has run
+      const { ordered = [], inspected } = layout.style ?? {};
+      ordered.forEach(p => {
+        p.px = transform.applyX(p.bx);
+        p.py = transform.applyY(p.by);
+      });
+      drawPoints(ctx, ordered, chartWidth, chartHeight, Math.min(2, Math.sqrt(transform.k)));
+      xAxis.call(d3.axisBottom(transform.rescaleX(xScale)).ticks(8));
+      yAxis.call(d3.axisLeft(transform.rescaleY(yScale)).ticks(8));
+      if (inspected) {
+        const outside = inspected.px < 0 || inspected.px > chartWidth || inspected.py < 0 || inspected.py > chartHeight;
+        ring.attr('cx', inspected.px).attr('cy', inspected.py).style('display', outside ? 'none' : null);
+      }
+    };
 
-        legend.append('text')
-          .attr('x', 10)
-          .attr('y', yOffset)
-          .attr('dy', '0.35em')
-          .style('font-size', '11px')
-          .text(`Pinned (${pinnedIndices.length})`);
+    const zoom = d3.zoom()
+      .scaleExtent([1, MAX_ZOOM])
+      .extent([[0, 0], [chartWidth, chartHeight]])
+      .translateExtent([[0, 0], [chartWidth, chartHeight]])
+      .on('zoom', (event) => {
+        zoomRef.current.transform = event.transform;
+        setIsZoomed(event.transform.k > 1);
+        layout.render();
+      });
 
-        yOffset += 18;
-      }
+    g.call(zoom)
+      .on('dblclick.zoom', null)
+      .call(zoom.transform, zoomRef.current.transform);
+    zoomRef.current.reset = () => g.call(zoom.transform, d3.zoomIdentity);
 
-      if (selectedIndices.length > 0) {
-        legend.append('circle')
-          .attr('cx', 0)
-          .attr('cy', yOffset)
-          .attr('r', 4)
-          .attr('fill', '#3498db')
-          .attr('opacity', 0.7);
-
-        legend.append('text')
-          .attr('x', 10)
-          .attr('y', yOffset)
-          .attr('dy', '0.35em')
-          .style('font-size', '11px')
-          .text(`Selected (${selectedIndices.length})`);
-      }
-    }
+    g.on('mousemove.hover', (event) => {
+      const position = d3.pointer(event, g.node());
+      const hit = event.buttons ? null : pointAt(position);
+      setHovered(hit ? { index: hit.dataIndex, left: position[0] + margin.left, top: position[1] + margin.top } : null);
+    })
+      .on('mouseleave.hover', () => setHovered(null));
+
+    // d3.zoom swallows the click after a pan, so this only fires for clicks in place
+    g.select('.zoom-surface').on('click', (event) => {
+      const hit = pointAt(d3.pointer(event, g.node()));
+      if (hit) onInspect?.(hit.dataIndex);
+    });
+
+    layoutRef.current = layout;
+    restyle(layout);
+  }, [data, xKey, yKey, metadata, onInspect]);
 
-  }, [data, xFeature, yFeature, selectedIndices, pinnedIndices, metadata]);
+  useEffect(() => {
+    restyle(layoutRef.current);
+  }, [selectedIndices, cohorts, inspectedIndex]);
+
+  const outcome = getOutcomeFeature(metadata);
+  const tooltipFeatures = [...new Set([xKey, yKey, outcome])].filter(Boolean);
 
   return (
     <div style={{
@@ -177,8 +289,8 @@ export default function ScatterComparison({ data, selectedIndices, pinnedIndices
         <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
           <label style={{ fontSize: '13px', fontWeight: '500' }}>X-axis:</label>
           <select
-            value={xFeature}
-            onChange={(e) => setXFeature(e.target.value)}
+            value={xKey}
+            onChange={(e) => onAxesChange({ ...axes, x: e.target.value })}
             style={{
               padding: '6px 12px',
               border: '1px solid #ddd',
@@ -195,8 +307,8 @@ export default function ScatterComparison({ data, selectedIndices, pinnedIndices
         <div style={{ display: 'flex', alignItems: 'center', gap: '8px' }}>
           <label style={{ fontSize: '13px', fontWeight: '500' }}>Y-axis:</label>
           <select
-            value={yFeature}
-            onChange={(e) => setYFeature(e.target.value)}
+            value={yKey}
+            onChange={(e) => onAxesChange({ ...axes, y: e.target.value })}
             style={{
               padding: '6px 12px',
               border: '1px solid #ddd',
@@ -211,7 +323,33 @@ export default function ScatterComparison({ data, selectedIndices, pinnedIndices
           </select>
         </div>
       </div>
-      <svg ref={svgRef}></svg>
+      <div style={{ position: 'relative' }}>
+        <canvas
+          ref={canvasRef}
+          style={{ position: 'absolute', left: `${MARGIN.left}px`, top: `${MARGIN.top}px` }}
+        ></canvas>
+        <svg ref={svgRef} style={{ position: 'relative' }}></svg>
+        {hovered && (
+          <PointTooltip
+            record={data[hovered.index]}
+            index={hovered.index}
+            features={tooltipFeatures}
+            metadata={metadata}
+            left={hovered.left}
+            top={hovered.top}
+            containerWidth={WIDTH}
+          />
+        )}
+      </div>
+      <div style={{ fontSize: '12px', color: '#666' }}>
+        Drag to pan, scroll to zoom
+        {isZoomed && (
+          <>
+            {' · '}
+            <button className="link-button" onClick={() => zoomRef.current.reset?.()}>Reset zoom</button>
+          </>
+        )}
+      </div>
     </div>
   );
 }
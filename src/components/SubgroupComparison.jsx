@@ -1,24 +1,113 @@
-import { useEffect, useRef } from 'react';
+import { useEffect, useMemo, useRef, useState } from 'react';
 import * as d3 from 'd3';
+import { SELECTION_COLOR } from '../utils/cohorts';
+import {
+  CONTINUOUS_TESTS,
+  CORRECTIONS,
+  metricKind,
+  metricLabel,
+  metricValues,
+  estimate,
+  compareValues,
+  adjustPValues,
+  formatPValue,
+  significanceStars
+} from '../utils/statistics';
 
+const LEGEND_ITEM_WIDTH = 100;
+const DEFAULT_METRICS = ['age', 'BMI', 'sysBP', 'diabetes', 'TenYearCHD'];
+const cellStyle = { padding: '2px 4px', textAlign: 'right', whiteSpace: 'nowrap' };
+const selectStyle = { fontSize: '11px', maxWidth: '140px' };
+
+// table and axis headings mark percentages
+const metricHeading = meta => `${metricLabel(meta)}${metricKind(meta) === 'proportion' ? ' %' : ''}`;
+
+const formatNumber = v => (v === null || v === undefined ? '–' : Math.abs(v) >= 100 ? v.toFixed(0) : v.toFixed(Math.abs(v) >= 10 ? 1 : 2));
+
+// The full cohort, each visible saved cohort and the current selection side by
+// side on any numeric or two-level feature, with 95% confidence intervals and
+// tests of each group against a reference: the rest of the cohort (everyone
+// not in the group) or another group. p-values are corrected for the number
+// of tests shown.
 export default function SubgroupComparison({
   data,
+  metadata,
+  cohortIndices,
   selectedIndices,
-  pinnedIndices
+  cohorts = []
 }) {
   const svgRef = useRef();
+  // null until the metrics are changed by hand, so a new dataset gets its defaults
+  const [chosenMetrics, setChosenMetrics] = useState(null);
+  const [reference, setReference] = useState('rest');
+  const [continuousTest, setContinuousTest] = useState('welch');
+  const [correction, setCorrection] = useState('holm');
 
-  useEffect(() => {
-    if (!data || data.length === 0) return;
+  const candidates = metadata ? Object.keys(metadata).filter(f => metricKind(metadata[f])) : [];
+  const defaults = DEFAULT_METRICS.filter(f => candidates.includes(f));
+  const metrics = (chosenMetrics ?? (defaults.length > 0 ? defaults : candidates.slice(0, 5)))
+    .filter(f => candidates.includes(f));
+  const metricsKey = metrics.join(',');
+
+  // empty groups (e.g. a cohort left out by complete-case analysis) are left out
+  const groups = useMemo(() => (data ? [
+    { key: 'full', label: 'Full Cohort', color: '#95a5a6', opacity: 0.6, indices: cohortIndices ?? data.map((_, i) => i) },
+    ...cohorts.map(c => ({ key: c.id, label: c.name, color: c.color, opacity: 0.8, indices: c.indices })),
+    { key: 'selection', label: 'Selected', color: SELECTION_COLOR, opacity: 0.8, indices: selectedIndices }
+  ].filter(group => group.indices.length > 0) : []), [data, cohortIndices, cohorts, selectedIndices]);
 
+  const referenceGroup = groups.find(g => g.key === reference);
+  const referenceLabel = referenceGroup ? referenceGroup.label : 'the rest of the cohort';
+
+  const comparison = useMemo(() => {
+    if (!data || !metadata || metrics.length === 0 || groups.length === 0) return null;
+    const all = groups[0].indices;
+    // each group is tested against everyone else in the cohort, or against the reference group
+    const others = groups.map(group => {
+      if (referenceGroup) return group === referenceGroup ? null : referenceGroup.indices;
+      if (group.key === 'full') return null;
+      const members = new Set(group.indices);
+      return all.filter(i => !members.has(i));
+    });
+
+    const rows = metrics.map(feature => {
+      const meta = metadata[feature];
+      const kind = metricKind(meta);
+      const values = groups.map(group => metricValues(data, group.indices, feature, meta));
+      return {
+        feature,
+        label: metricHeading(meta),
+        estimates: values.map(v => estimate(v, kind)),
+        tests: groups.map((group, g) => (others[g]
+          ? compareValues(values[g], metricValues(data, others[g], feature, meta), kind, continuousTest)
+          : null))
+      };
+    });
+
+    const tests = rows.flatMap(row => row.tests.map((result, g) => ({ row, g, result })).filter(t => others[t.g]));
+    const adjusted = adjustPValues(tests.map(t => t.result?.p ?? null), correction);
+    tests.forEach((t, i) => {
+      t.adjusted = adjusted[i];
+    });
+    return { rows, tests };
+  }, [data, metadata, metricsKey, groups, referenceGroup, continuousTest, correction]);
+
+  useEffect(() => {
     const svg = d3.select(svgRef.current);
     svg.selectAll('*').remove();
+    if (!comparison) return;
+    const { rows, tests } = comparison;
+    const adjustedOf = new Map(tests.map(t => [`${t.row.feature}:${t.g}`, t.adjusted]));
 
     const width = 400;
-    const height = 300;
-    const margin = { top: 40, right: 20, bottom: 60, left: 100 };
+    const margin = { top: 40, right: 50, bottom: 40, left: 110 };
     const innerWidth = width - margin.left - margin.right;
-    const innerHeight = height - margin.top - margin.bottom;
+
+    // taller with more groups and metrics, so bars stay readable
+    const innerHeight = Math.max(200, groups.length * rows.length * 12);
+    const legendColumns = Math.floor((width - margin.left) / LEGEND_ITEM_WIDTH);
+    const legendRows = Math.ceil(groups.length / legendColumns);
+    const height = margin.top + innerHeight + margin.bottom + (legendRows - 1) * 16;
 
     const g = svg
       .attr('width', width)
@@ -26,113 +115,69 @@ export default function SubgroupComparison({
       .append('g')
       .attr('transform', `translate(${margin.left},${margin.top})`);
 
-    const computeStats = (indices) => {
-      if (!indices || indices.length === 0) return null;
-      const subset = indices.map(i => data[i]).filter(d => d);
-      if (subset.length === 0) return null;
-      return {
-        avgAge: d3.mean(subset, d => d.age) || 0,
-        avgBMI: d3.mean(subset, d => d.BMI) || 0,
-        avgSysBP: d3.mean(subset, d => d.sysBP) || 0,
-        pctDiabetes: (subset.filter(d => d.diabetes === 1).length / subset.length) * 100 || 0,
-        pctCHD: (subset.filter(d => d.TenYearCHD === 1).length / subset.length) * 100 || 0
-      };
-    };
-
-    const fullStats = computeStats(data.map((_, i) => i));
-    if (!fullStats) return;
-
-    const selectedStats = selectedIndices.length > 0 ? computeStats(selectedIndices) : null;
-    const pinnedStats = pinnedIndices.length > 0 ? computeStats(pinnedIndices) : null;
-
-    const metrics = [
-      { key: 'avgAge', label: 'Avg Age', unit: 'yrs' },
-      { key: 'avgBMI', label: 'Avg BMI', unit: '' },
-      { key: 'avgSysBP', label: 'Avg Sys BP', unit: 'mmHg' },
-      { key: 'pctDiabetes', label: 'Diabetes %', unit: '%' },
-      { key: 'pctCHD', label: 'CHD Risk %', unit: '%' }
-    ];
-
     const y = d3.scaleBand()
-      .domain(metrics.map(m => m.label))
+      .domain(rows.map(r => r.feature))
       .range([0, innerHeight])
       .padding(0.3);
 
-    const maxValues = metrics.map(m => {
-      const values = [fullStats[m.key]];
-      if (selectedStats) values.push(selectedStats[m.key]);
-      if (pinnedStats) values.push(pinnedStats[m.key]);
-      return d3.max(values);
-    });
-
-    const x = d3.scaleLinear()
-      .domain([0, d3.max(maxValues)])
-      .range([0, innerWidth]);
-
+    const labels = new Map(rows.map(r => [r.feature, r.label]));
     g.append('g')
-      .call(d3.axisLeft(y))
+      .call(d3.axisLeft(y).tickFormat(f => {
+        const label = labels.get(f);
+        return label.length > 18 ? `${label.slice(0, 17)}…` : label;
+      }))
       .selectAll('text')
-      .style('font-size', '11px');
-
-    g.append('g')
-      .attr('transform', `translate(0,${innerHeight})`)
-      .call(d3.axisBottom(x).ticks(5))
-      .selectAll('text')
-      .style('font-size', '10px');
-
-    const barHeight = y.bandwidth() / 3;
+      .style('font-size', '11px')
+      .append('title')
+      .text(f => labels.get(f));
 
-    metrics.forEach((m, i) => {
-      const yPos = y(m.label);
+    const barHeight = y.bandwidth() / groups.length;
 
-      g.append('rect')
-        .attr('x', 0)
-        .attr('y', yPos)
-        .attr('width', x(fullStats[m.key]))
-        .attr('height', barHeight)
-        .attr('fill', '#95a5a6')
-        .attr('opacity', 0.6);
+    // metrics are on different scales (years, mmHg, %), so each gets its own
+    rows.forEach(row => {
+      const yPos = y(row.feature);
+      const present = row.estimates.filter(Boolean);
+      const x = d3.scaleLinear()
+        .domain([
+          Math.min(0, d3.min(present, e => e.ci?.[0] ?? e.value)),
+          d3.max(present, e => e.ci?.[1] ?? e.value) || 1
+        ])
+        .range([0, innerWidth]);
 
-      g.append('text')
-        .attr('x', x(fullStats[m.key]) + 3)
-        .attr('y', yPos + barHeight / 2)
-        .attr('dy', '0.35em')
-        .style('font-size', '9px')
-        .text(fullStats[m.key]?.toFixed(1));
+      row.estimates.forEach((est, i) => {
+        if (!est) return;
+        const group = groups[i];
+        const top = yPos + barHeight * i;
+        const middle = top + barHeight / 2;
+        const stars = significanceStars(adjustedOf.get(`${row.feature}:${i}`) ?? null);
 
-      if (pinnedStats) {
         g.append('rect')
-          .attr('x', 0)
-          .attr('y', yPos + barHeight)
-          .attr('width', x(pinnedStats[m.key]))
+          .attr('x', Math.min(x(0), x(est.value)))
+          .attr('y', top)
+          .attr('width', Math.abs(x(est.value) - x(0)))
           .attr('height', barHeight)
-          .attr('fill', '#e67e22')
-          .attr('opacity', 0.8);
+          .attr('fill', group.color)
+          .attr('opacity', group.opacity)
+          .append('title')
+          .text(`${group.label}: ${formatNumber(est.value)}${est.ci ? ` (95% CI ${formatNumber(est.ci[0])}–${formatNumber(est.ci[1])})` : ''}, n = ${est.n}`);
 
-        g.append('text')
-          .attr('x', x(pinnedStats[m.key]) + 3)
-          .attr('y', yPos + barHeight * 1.5)
-          .attr('dy', '0.35em')
-          .style('font-size', '9px')
-          .text(pinnedStats[m.key]?.toFixed(1));
-      }
-
-      if (selectedStats) {
-        g.append('rect')
-          .attr('x', 0)
-          .attr('y', yPos + barHeight * 2)
-          .attr('width', x(selectedStats[m.key]))
-          .attr('height', barHeight)
-          .attr('fill', '#3498db')
-          .attr('opacity', 0.8);
+        if (est.ci) {
+          const whisker = g.append('g').attr('stroke', '#333').attr('stroke-width', 1);
+          whisker.append('line')
+            .attr('x1', x(est.ci[0])).attr('x2', x(est.ci[1]))
+            .attr('y1', middle).attr('y2', middle);
+          est.ci.forEach(end => whisker.append('line')
+            .attr('x1', x(end)).attr('x2', x(end))
+            .attr('y1', middle - barHeight / 4).attr('y2', middle + barHeight / 4));
+        }
 
         g.append('text')
-          .attr('x', x(selectedStats[m.key]) + 3)
-          .attr('y', yPos + barHeight * 2.5)
+          .attr('x', Math.max(x(est.value), est.ci ? x(est.ci[1]) : 0) + 3)
+          .attr('y', middle)
           .attr('dy', '0.35em')
-          .style('font-size', '9px')
-          .text(selectedStats[m.key]?.toFixed(1));
-      }
+          .style('font-size', groups.length > 4 ? '8px' : '9px')
+          .text(`${formatNumber(est.value)}${stars}`);
+      });
     });
 
     svg.append('text')
@@ -144,30 +189,127 @@ export default function SubgroupComparison({
       .text('Subgroup Comparison');
 
     const legend = svg.append('g')
-      .attr('transform', `translate(${margin.left}, ${height - 40})`);
+      .attr('transform', `translate(${margin.left}, ${margin.top + innerHeight + 20})`);
 
-    const legendData = [
-      { label: 'Full Cohort', color: '#95a5a6' },
-      ...(pinnedStats ? [{ label: 'Pinned', color: '#e67e22' }] : []),
-      ...(selectedStats ? [{ label: 'Selected', color: '#3498db' }] : [])
-    ];
+    groups.forEach((d, i) => {
+      const lx = (i % legendColumns) * LEGEND_ITEM_WIDTH;
+      const ly = Math.floor(i / legendColumns) * 16;
 
-    legendData.forEach((d, i) => {
       legend.append('rect')
-        .attr('x', i * 100)
-        .attr('y', 0)
+        .attr('x', lx)
+        .attr('y', ly)
         .attr('width', 12)
         .attr('height', 12)
         .attr('fill', d.color);
 
+      // long cohort names are cut to fit their slot
       legend.append('text')
-        .attr('x', i * 100 + 16)
-        .attr('y', 10)
+        .attr('x', lx + 16)
+        .attr('y', ly + 10)
         .style('font-size', '10px')
+        .text(d.label.length > 14 ? `${d.label.slice(0, 13)}…` : d.label)
+        .append('title')
         .text(d.label);
     });
 
-  }, [data, selectedIndices, pinnedIndices]);
+  }, [comparison, groups]);
+
+  if (!data || !metadata) return <svg ref={svgRef}></svg>;
+
+  const unused = candidates.filter(f => !metrics.includes(f));
+
+  return (
+    <div style={{ fontSize: '11px' }}>
+      <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '4px', marginBottom: '6px' }}>
+        <strong>Metrics:</strong>
+        {metrics.map(f => (
+          <span key={f} style={{ background: '#eef2f5', borderRadius: '3px', padding: '1px 4px' }}>
+            {metricHeading(metadata[f])}
+            <button
+              className="link-button"
+              onClick={() => setChosenMetrics(metrics.filter(m => m !== f))}
+              title="Remove"
+              style={{ marginLeft: '3px' }}
+            >
+              ×
+            </button>
+          </span>
+        ))}
+        {unused.length > 0 && (
+          <select value="" onChange={(e) => setChosenMetrics([...metrics, e.target.value])} style={selectStyle}>
+            <option value="">Add…</option>
+            {unused.map(f => (
+              <option key={f} value={f}>{metricHeading(metadata[f])}</option>
+            ))}
+          </select>
+        )}
+      </div>
+      <div style={{ display: 'flex', flexWrap: 'wrap', alignItems: 'center', gap: '4px 8px', marginBottom: '6px' }}>
+        <label>
+          Compare with{' '}
+          <select value={referenceGroup ? reference : 'rest'} onChange={(e) => setReference(e.target.value)} style={selectStyle}>
+            <option value="rest">Rest of the cohort</option>
+            {groups.map(group => (
+              <option key={group.key} value={group.key}>{group.label}</option>
+            ))}
+          </select>
+        </label>
+        <label title="Proportions use chi-square, or Fisher's exact test when an expected count is below 5">
+          Numeric test{' '}
+          <select value={continuousTest} onChange={(e) => setContinuousTest(e.target.value)} style={selectStyle}>
+            {CONTINUOUS_TESTS.map(t => <option key={t.id} value={t.id}>{t.label}</option>)}
+          </select>
+        </label>
+        <label title="Correction for the number of tests in the table">
+          Correction{' '}
+          <select value={correction} onChange={(e) => setCorrection(e.target.value)} style={selectStyle}>
+            {CORRECTIONS.map(c => <option key={c.id} value={c.id}>{c.label}</option>)}
+          </select>
+        </label>
+      </div>
+
+      <svg ref={svgRef}></svg>
 
-  return <svg ref={svgRef}></svg>;
+      {comparison && comparison.tests.length > 0 && (
+        <>
+          <div style={{ color: '#666', margin: '4px 0' }}>
+            Error bars are 95% confidence intervals. Each group is compared with {referenceLabel};
+            * p &lt; 0.05, ** p &lt; 0.01, *** p &lt; 0.001 after correction.
+          </div>
+          <div style={{ maxHeight: '220px', overflowY: 'auto' }}>
+            <table style={{ borderCollapse: 'collapse', width: '100%' }}>
+              <thead>
+                <tr style={{ color: '#666' }}>
+                  <th style={{ ...cellStyle, textAlign: 'left' }}>Metric</th>
+                  <th style={{ ...cellStyle, textAlign: 'left' }}>Group</th>
+                  <th style={cellStyle} title="Group minus comparison">Diff</th>
+                  <th style={cellStyle} title="Standardized mean difference; |SMD| above 0.1 is usually taken as imbalance">SMD</th>
+                  <th style={{ ...cellStyle, textAlign: 'left' }}>Test</th>
+                  <th style={cellStyle}>p</th>
+                  <th style={cellStyle}>Adj. p</th>
+                </tr>
+              </thead>
+              <tbody>
+                {comparison.tests.map(({ row, g, result, adjusted }) => (
+                  <tr key={`${row.feature}:${g}`} style={{ borderTop: '1px solid #eee' }}>
+                    <td style={{ ...cellStyle, textAlign: 'left' }}>{row.label}</td>
+                    <td style={{ ...cellStyle, textAlign: 'left', maxWidth: '80px', overflow: 'hidden', textOverflow: 'ellipsis' }} title={groups[g].label}>
+                      {groups[g].label}
+                    </td>
+                    <td style={cellStyle}>{formatNumber(result?.difference)}</td>
+                    <td style={cellStyle}>{formatNumber(result?.smd)}</td>
+                    <td style={{ ...cellStyle, textAlign: 'left' }}>{result?.test ?? 'too few values'}</td>
+                    <td style={cellStyle}>{formatPValue(result?.p ?? null)}</td>
+                    <td style={{ ...cellStyle, fontWeight: adjusted !== null && adjusted < 0.05 ? 'bold' : 'normal' }}>
+                      {formatPValue(adjusted)}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </>
+      )}
+    </div>
+  );
 }
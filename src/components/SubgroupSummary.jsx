@@ -1,4 +1,12 @@
 import * as d3 from 'd3';
+import { subgroupStats } from '../utils/summary';
+
+const formatStat = (stat, meta) => {
+  if (stat.value === null) return '–';
+  if (stat.kind === 'proportion') return `${stat.value.toFixed(1)}%`;
+  const text = stat.value.toFixed(Math.abs(stat.value) >= 100 ? 0 : 1);
+  return meta.unit ? `${text} ${meta.unit}` : text;
+};
 
 export default function SubgroupSummary({ data, selectedIndices, metadata }) {
   if (!data || selectedIndices.length === 0) {
@@ -18,20 +26,12 @@ export default function SubgroupSummary({ data, selectedIndices, metadata }) {
     );
   }
 
-  const subset = selectedIndices.map(i => data[i]);
-
-  const stats = {
-    n: subset.length,
-    avgAge: d3.mean(subset, d => d.age),
-    avgBMI: d3.mean(subset, d => d.BMI),
-    avgCholesterol: d3.mean(subset, d => d.totChol),
-    avgSysBP: d3.mean(subset, d => d.sysBP),
-    pctMale: (subset.filter(d => d.male === 1).length / subset.length) * 100,
-    pctSmoker: (subset.filter(d => d.currentSmoker === 1).length / subset.length) * 100,
-    pctDiabetes: (subset.filter(d => d.diabetes === 1).length / subset.length) * 100,
-    pctHypertension: (subset.filter(d => d.prevalentHyp === 1).length / subset.length) * 100,
-    pctCHD: (subset.filter(d => d.TenYearCHD === 1).length / subset.length) * 100
-  };
+  const { n, stats } = subgroupStats(data, selectedIndices, metadata);
+  const outcome = stats.find(s => s.outcome);
+  const rest = stats.filter(s => !s.outcome);
+  // the outcome is flagged when the subgroup's rate is above everyone's
+  const overall = outcome && subgroupStats(data, d3.range(data.length), metadata).stats.find(s => s.outcome);
+  const above = outcome && outcome.value !== null && outcome.value > overall.value;
 
   return (
     <div style={{
@@ -44,18 +44,17 @@ export default function SubgroupSummary({ data, selectedIndices, metadata }) {
         Subgroup Summary
       </h3>
       <div style={{ display: 'grid', gridTemplateColumns: '1fr 1fr', gap: '10px', fontSize: '13px' }}>
-        <div><strong>Sample Size:</strong> {stats.n}</div>
-        <div><strong>Male:</strong> {stats.pctMale.toFixed(1)}%</div>
-        <div><strong>Avg Age:</strong> {stats.avgAge?.toFixed(1)} yrs</div>
-        <div><strong>Smoker:</strong> {stats.pctSmoker.toFixed(1)}%</div>
-        <div><strong>Avg BMI:</strong> {stats.avgBMI?.toFixed(1)}</div>
-        <div><strong>Diabetes:</strong> {stats.pctDiabetes.toFixed(1)}%</div>
-        <div><strong>Avg Cholesterol:</strong> {stats.avgCholesterol?.toFixed(0)} mg/dL</div>
-        <div><strong>Hypertension:</strong> {stats.pctHypertension.toFixed(1)}%</div>
-        <div><strong>Avg Sys BP:</strong> {stats.avgSysBP?.toFixed(0)} mmHg</div>
-        <div style={{ gridColumn: 'span 2', marginTop: '5px', padding: '8px', backgroundColor: stats.pctCHD > 20 ? '#ffe6e6' : '#e6f7ff', borderRadius: '4px' }}>
-          <strong>10-Year CHD Risk:</strong> {stats.pctCHD.toFixed(1)}%
-        </div>
+        <div style={{ gridColumn: 'span 2' }}><strong>Sample Size:</strong> {n}</div>
+        {rest.map(stat => (
+          <div key={stat.feature}>
+            <strong>{stat.kind === 'mean' ? `Avg ${stat.label}` : stat.label}:</strong> {formatStat(stat, metadata[stat.feature])}
+          </div>
+        ))}
+        {outcome && (
+          <div style={{ gridColumn: 'span 2', marginTop: '5px', padding: '8px', backgroundColor: above ? '#ffe6e6' : '#e6f7ff', borderRadius: '4px' }}>
+            <strong>{outcome.label}:</strong> {formatStat(outcome, metadata[outcome.feature])}
+          </div>
+        )}
       </div>
     </div>
   );
@@ -0,0 +1,237 @@
+// A writer for the Arrow IPC file format (what pandas, polars and R's arrow
+// package read as Feather), for flat tables of float64, int32, bool and utf8
+// columns: { name, type, values } with null for missing values.
+//
+// The metadata is FlatBuffers. Rather than pull in a FlatBuffers library,
+// encodeFlatbuffer writes the few tables Arrow needs front to back, placing
+// every object after the one that refers to it.
+
+const MAGIC = [65, 82, 82, 79, 87, 49]; // "ARROW1"
+const METADATA_V5 = 4;
+const MESSAGE_SCHEMA = 1;
+const MESSAGE_RECORD_BATCH = 3;
+const TYPE_IDS = { int32: 2, float64: 3, utf8: 5, bool: 6 };
+
+function byteWriter() {
+  let buffer = new Uint8Array(1024);
+  let view = new DataView(buffer.buffer);
+  let length = 0;
+  const reserve = (n) => {
+    if (length + n <= buffer.length) return;
+    const next = new Uint8Array(Math.max(buffer.length * 2, length + n));
+    next.set(buffer);
+    buffer = next;
+    view = new DataView(buffer.buffer);
+  };
+  const write = (size, set) => {
+    reserve(size);
+    set(length);
+    length += size;
+  };
+  return {
+    get length() { return length; },
+    // pad with zeros until length % size === phase
+    align(size, phase = 0) {
+      while (length % size !== phase) write(1, at => view.setUint8(at, 0));
+    },
+    bytes(bytes) { write(bytes.length, at => buffer.set(bytes, at)); },
+    uint8(v) { write(1, at => view.setUint8(at, v)); },
+    int16(v) { write(2, at => view.setInt16(at, v, true)); },
+    uint16(v) { write(2, at => view.setUint16(at, v, true)); },
+    int32(v) { write(4, at => view.setInt32(at, v, true)); },
+    int64(v) { write(8, at => view.setBigInt64(at, BigInt(v), true)); },
+    patchUint32(at, v) { view.setUint32(at, v, true); },
+    result() { return buffer.slice(0, length); }
+  };
+}
+
+// FlatBuffers values: scalars sized for the table layout, references to other
+// objects, and the objects themselves (tables, strings, vectors)
+const uint8 = value => ({ kind: 'uint8', size: 1, value });
+const int16 = value => ({ kind: 'int16', size: 2, value });
+const int32 = value => ({ kind: 'int32', size: 4, value });
+const int64 = value => ({ kind: 'int64', size: 8, value });
+const ref = value => ({ kind: 'ref', size: 4, value });
+const table = (...fields) => ({ table: fields });
+const string = text => ({ string: text });
+const vector = items => ({ vector: items });
+// structs here are all made of 8- and 4-byte fields, so 8-byte aligned
+const structs = rows => ({ structs: rows });
+
+function writeScalar(out, field) {
+  if (field.kind === 'uint8') out.uint8(field.value);
+  else if (field.kind === 'int16') out.int16(field.value);
+  else if (field.kind === 'int32') out.int32(field.value);
+  else if (field.kind === 'int64') out.int64(field.value);
+}
+
+function encodeFlatbuffer(root) {
+  const out = byteWriter();
+  const pending = [];
+  const refer = (target) => {
+    pending.push({ at: out.length, target });
+    out.int32(0);
+  };
+
+  const place = (node) => {
+    if (node.table) {
+      // largest fields first: with the table starting 4 bytes past an 8-byte
+      // boundary, every field then lands on a multiple of its size
+      const fields = node.table
+        .map((field, slot) => field && { ...field, slot })
+        .filter(Boolean)
+        .sort((a, b) => b.size - a.size);
+      const offsets = [];
+      let size = 4;
+      fields.forEach(field => {
+        offsets[field.slot] = size;
+        size += field.size;
+      });
+
+      out.align(2);
+      const vtable = out.length;
+      out.uint16(4 + 2 * node.table.length);
+      out.uint16(size);
+      node.table.forEach((field, slot) => out.uint16(field ? offsets[slot] : 0));
+
+      out.align(8, 4);
+      const start = out.length;
+      out.int32(start - vtable);
+      fields.forEach(field => (field.kind === 'ref' ? refer(field.value) : writeScalar(out, field)));
+      return start;
+    }
+    if (node.string !== undefined) {
+      const bytes = new TextEncoder().encode(node.string);
+      out.align(4);
+      const start = out.length;
+      out.int32(bytes.length);
+      out.bytes(bytes);
+      out.uint8(0);
+      return start;
+    }
+    if (node.vector) {
+      out.align(4);
+      const start = out.length;
+      out.int32(node.vector.length);
+      node.vector.forEach(refer);
+      return start;
+    }
+    out.align(8, 4);
+    const start = out.length;
+    out.int32(node.structs.length);
+    node.structs.forEach(row => row.forEach(field => writeScalar(out, field)));
+    return start;
+  };
+
+  refer(root);
+  // references only point forward, to objects placed after them
+  for (let i = 0; i < pending.length; i++) {
+    const { at, target } = pending[i];
+    out.patchUint32(at, place(target) - at);
+  }
+  out.align(8);
+  return out.result();
+}
+
+function typeTable(type) {
+  if (type === 'float64') return table(int16(2)); // DOUBLE precision
+  if (type === 'int32') return table(int32(32), uint8(1)); // signed
+  return table();
+}
+
+function schemaTable(columns) {
+  return table(
+    int16(0), // little-endian
+    ref(vector(columns.map(column => table(
+      ref(string(column.name)),
+      uint8(1), // nullable
+      uint8(TYPE_IDS[column.type]),
+      ref(typeTable(column.type)),
+      undefined,
+      ref(vector([]))
+    ))))
+  );
+}
+
+function bitmap(values, test) {
+  const bits = new Uint8Array(Math.ceil(values.length / 8));
+  values.forEach((v, i) => {
+    if (test(v)) bits[i >> 3] |= 1 << (i & 7);
+  });
+  return bits;
+}
+
+// The buffers of one column: validity bitmap, then offsets and data for
+// strings or just data for the rest
+function columnBuffers({ type, values }) {
+  const validity = bitmap(values, v => v !== null && v !== undefined);
+  if (type === 'bool') return [validity, bitmap(values, v => !!v)];
+  if (type === 'float64') return [validity, new Uint8Array(Float64Array.from(values, v => v ?? 0).buffer)];
+  if (type === 'int32') return [validity, new Uint8Array(Int32Array.from(values, v => v ?? 0).buffer)];
+
+  const encoder = new TextEncoder();
+  const encoded = values.map(v => (v === null || v === undefined ? new Uint8Array(0) : encoder.encode(String(v))));
+  const offsets = new Int32Array(values.length + 1);
+  encoded.forEach((bytes, i) => {
+    offsets[i + 1] = offsets[i] + bytes.length;
+  });
+  const data = new Uint8Array(offsets[values.length]);
+  encoded.forEach((bytes, i) => data.set(bytes, offsets[i]));
+  return [validity, new Uint8Array(offsets.buffer), data];
+}
+
+// Writes a message: continuation marker, metadata length, the metadata, then
+// the body. Returns the Block the footer lists for it.
+function writeMessage(out, metadata, body = []) {
+  const offset = out.length;
+  out.int32(-1);
+  out.int32(metadata.length);
+  out.bytes(metadata);
+  const bodyStart = out.length;
+  body.forEach(bytes => {
+    out.bytes(bytes);
+    out.align(8);
+  });
+  return { offset, metaDataLength: 8 + metadata.length, bodyLength: out.length - bodyStart };
+}
+
+function messageTable(headerType, header, bodyLength) {
+  return table(int16(METADATA_V5), uint8(headerType), ref(header), int64(bodyLength));
+}
+
+const blockStruct = block => [int64(block.offset), int32(block.metaDataLength), int32(0), int64(block.bodyLength)];
+
+// One record batch holding every row
+export function writeArrowFile(columns) {
+  const rows = columns[0]?.values.length ?? 0;
+  const body = [];
+  const buffers = [];
+  let bodyLength = 0;
+  columns.forEach(column => {
+    columnBuffers(column).forEach(bytes => {
+      buffers.push([int64(bodyLength), int64(bytes.length)]);
+      body.push(bytes);
+      bodyLength += Math.ceil(bytes.length / 8) * 8;
+    });
+  });
+  const nodes = columns.map(({ values }) => [
+    int64(values.length),
+    int64(values.filter(v => v === null || v === undefined).length)
+  ]);
+
+  const out = byteWriter();
+  out.bytes(MAGIC);
+  out.align(8);
+  writeMessage(out, encodeFlatbuffer(messageTable(MESSAGE_SCHEMA, schemaTable(columns), 0)));
+  const batch = writeMessage(
+    out,
+    encodeFlatbuffer(messageTable(MESSAGE_RECORD_BATCH, table(int64(rows), ref(structs(nodes)), ref(structs(buffers))), bodyLength)),
+    body
+  );
+
+  const footer = encodeFlatbuffer(table(int16(METADATA_V5), ref(schemaTable(columns)), ref(structs([])), ref(structs([blockStruct(batch)]))));
+  out.bytes(footer);
+  out.int32(footer.length);
+  out.bytes(MAGIC);
+  return out.result();
+}
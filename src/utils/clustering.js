@@ -0,0 +1,299 @@
+import * as d3 from 'd3';
+import { seededRandom } from './dataLoader';
+
+export const CLUSTERING_ALGORITHMS = [
+  { id: 'kmeans', label: 'k-means' },
+  { id: 'hierarchical', label: 'Hierarchical (Ward)' },
+  { id: 'dbscan', label: 'DBSCAN' }
+];
+
+export const CLUSTERING_DEFAULTS = {
+  algorithm: 'kmeans',
+  space: 'features',
+  k: 4,
+  eps: 0.5,
+  minPts: 10,
+  seed: 42
+};
+
+// "Color by" value for cluster assignments; no dataset column can be called this
+export const CLUSTER_FEATURE = '__cluster__';
+export const NOISE = -1;
+
+const MAX_ITERATIONS = 100;
+const SILHOUETTE_SAMPLE = 1500;
+const SWEEP_MAX_K = 10;
+
+function squaredDistance(a, b) {
+  let sum = 0;
+  for (let i = 0; i < a.length; i++) sum += (a[i] - b[i]) ** 2;
+  return sum;
+}
+
+// Number clusters 0, 1, ... from largest to smallest; noise stays NOISE
+function relabelBySize(labels) {
+  const sizes = d3.rollup(labels.filter(l => l !== NOISE), v => v.length, l => l);
+  const order = [...sizes.keys()].sort((a, b) => sizes.get(b) - sizes.get(a) || a - b);
+  const rank = new Map(order.map((label, i) => [label, i]));
+  return labels.map(l => (l === NOISE ? NOISE : rank.get(l)));
+}
+
+// Lloyd's algorithm with k-means++ seeding
+export function kMeans(X, k, random = Math.random) {
+  const n = X.length;
+  const centroids = [X[Math.floor(random() * n)].slice()];
+  const nearest = X.map(x => squaredDistance(x, centroids[0]));
+  while (centroids.length < k) {
+    // next centre drawn with probability proportional to squared distance
+    let target = random() * d3.sum(nearest);
+    let i = 0;
+    while (i < n - 1 && (target -= nearest[i]) > 0) i++;
+    centroids.push(X[i].slice());
+    X.forEach((x, j) => {
+      nearest[j] = Math.min(nearest[j], squaredDistance(x, centroids[centroids.length - 1]));
+    });
+  }
+
+  const labels = new Array(n).fill(-1);
+  for (let iter = 0; iter < MAX_ITERATIONS; iter++) {
+    let changed = false;
+    X.forEach((x, i) => {
+      let best = 0;
+      let bestDistance = Infinity;
+      centroids.forEach((c, j) => {
+        const d = squaredDistance(x, c);
+        if (d < bestDistance) {
+          best = j;
+          bestDistance = d;
+        }
+      });
+      if (labels[i] !== best) {
+        labels[i] = best;
+        changed = true;
+      }
+    });
+    if (!changed) break;
+
+    centroids.forEach((c, j) => {
+      const members = X.filter((_, i) => labels[i] === j);
+      // an emptied cluster keeps its old centre
+      if (members.length === 0) return;
+      for (let d = 0; d < c.length; d++) c[d] = d3.mean(members, m => m[d]);
+    });
+  }
+  return relabelBySize(labels);
+}
+
+// Ward linkage by the nearest-neighbour chain algorithm: O(n^2) time without an
+// n x n distance matrix. Returns the merges as [a, b, cost]; the merged cluster keeps id a.
+export function wardLinkage(X) {
+  const n = X.length;
+  const centroid = X.map(x => Float64Array.from(x));
+  const size = new Array(n).fill(1);
+  const active = new Uint8Array(n).fill(1);
+  const cost = (a, b) => (size[a] * size[b]) / (size[a] + size[b]) * squaredDistance(centroid[a], centroid[b]);
+
+  const merges = [];
+  const chain = [];
+  let firstActive = 0;
+  while (merges.length < n - 1) {
+    if (chain.length === 0) {
+      while (!active[firstActive]) firstActive++;
+      chain.push(firstActive);
+    }
+    const a = chain[chain.length - 1];
+    const previous = chain.length > 1 ? chain[chain.length - 2] : -1;
+
+    let best = -1;
+    let bestCost = Infinity;
+    for (let c = 0; c < n; c++) {
+      if (!active[c] || c === a) continue;
+      const d = cost(a, c);
+      // ties go to the previous link so the chain cannot cycle
+      if (d < bestCost || (d === bestCost && c === previous)) {
+        best = c;
+        bestCost = d;
+      }
+    }
+
+    if (best !== previous) {
+      chain.push(best);
+      continue;
+    }
+
+    // a and previous are reciprocal nearest neighbours: merge them
+    chain.length -= 2;
+    const total = size[a] + size[previous];
+    for (let d = 0; d < centroid[a].length; d++) {
+      centroid[a][d] = (centroid[a][d] * size[a] + centroid[previous][d] * size[previous]) / total;
+    }
+    size[a] = total;
+    active[previous] = 0;
+    merges.push([a, previous, bestCost]);
+  }
+  return merges;
+}
+
+// Flat clusters from a linkage: replay all but the k - 1 most expensive merges
+export function cutTree(merges, n, k) {
+  const parent = d3.range(n);
+  const find = (i) => {
+    while (parent[i] !== i) {
+      parent[i] = parent[parent[i]];
+      i = parent[i];
+    }
+    return i;
+  };
+  [...merges]
+    .sort((a, b) => a[2] - b[2])
+    .slice(0, Math.max(0, n - k))
+    .forEach(([a, b]) => {
+      parent[find(b)] = find(a);
+    });
+  return relabelBySize(d3.range(n).map(find));
+}
+
+// Density-based clusters: points with at least minPts neighbours within eps seed
+// a cluster, which grows through further such core points. The rest is noise.
+export function dbscan(X, eps, minPts) {
+  const n = X.length;
+  const eps2 = eps * eps;
+  const labels = new Array(n).fill(undefined);
+  const regionQuery = (i) => {
+    const found = [];
+    for (let j = 0; j < n; j++) {
+      if (squaredDistance(X[i], X[j]) <= eps2) found.push(j);
+    }
+    return found;
+  };
+
+  // each point enters an expansion queue at most once
+  const queued = new Uint8Array(n);
+  const enqueue = (queue, points) => points.forEach(j => {
+    if (queued[j]) return;
+    queued[j] = 1;
+    queue.push(j);
+  });
+
+  let cluster = 0;
+  for (let i = 0; i < n; i++) {
+    if (labels[i] !== undefined) continue;
+    const neighbors = regionQuery(i);
+    if (neighbors.length < minPts) {
+      labels[i] = NOISE;
+      continue;
+    }
+    labels[i] = cluster;
+    const queue = [];
+    enqueue(queue, neighbors);
+    for (let q = 0; q < queue.length; q++) {
+      const j = queue[q];
+      // border points first marked as noise join the cluster
+      if (labels[j] === NOISE) labels[j] = cluster;
+      if (labels[j] !== undefined) continue;
+      labels[j] = cluster;
+      const more = regionQuery(j);
+      if (more.length >= minPts) enqueue(queue, more);
+    }
+    cluster++;
+  }
+  return relabelBySize(labels);
+}
+
+// Mean silhouette width of a labelling, estimated on a fixed random sample so
+// that several labellings (one per k) are scored on the same points
+export function silhouetteScorer(X, random = Math.random) {
+  const sample = d3.shuffler(random)(d3.range(X.length)).slice(0, SILHOUETTE_SAMPLE);
+  const m = sample.length;
+  const distances = new Float64Array(m * m);
+  for (let i = 0; i < m; i++) {
+    for (let j = i + 1; j < m; j++) {
+      const d = Math.sqrt(squaredDistance(X[sample[i]], X[sample[j]]));
+      distances[i * m + j] = d;
+      distances[j * m + i] = d;
+    }
+  }
+
+  return (labels) => {
+    const sampleLabels = sample.map(i => labels[i]);
+    const clusters = [...new Set(sampleLabels.filter(l => l !== NOISE))];
+    if (clusters.length < 2) return null;
+    const index = new Map(clusters.map((l, c) => [l, c]));
+
+    const widths = [];
+    const sums = new Float64Array(clusters.length);
+    const counts = new Float64Array(clusters.length);
+    for (let i = 0; i < m; i++) {
+      if (sampleLabels[i] === NOISE) continue;
+      sums.fill(0);
+      counts.fill(0);
+      for (let j = 0; j < m; j++) {
+        if (j === i || sampleLabels[j] === NOISE) continue;
+        const c = index.get(sampleLabels[j]);
+        sums[c] += distances[i * m + j];
+        counts[c]++;
+      }
+      const own = index.get(sampleLabels[i]);
+      // a point alone in its cluster scores 0 by convention
+      if (counts[own] === 0) {
+        widths.push(0);
+        continue;
+      }
+      const a = sums[own] / counts[own];
+      let b = Infinity;
+      for (let c = 0; c < clusters.length; c++) {
+        if (c !== own && counts[c] > 0) b = Math.min(b, sums[c] / counts[c]);
+      }
+      widths.push(b === Infinity ? 0 : (b - a) / Math.max(a, b));
+    }
+    return d3.mean(widths) ?? null;
+  };
+}
+
+// Clusters X with the chosen algorithm. For k-means and hierarchical clustering
+// the silhouette is also computed for k = 2..10 to help choose k.
+export function clusterPoints(X, params = {}) {
+  const { algorithm, k, eps, minPts, seed } = { ...CLUSTERING_DEFAULTS, ...params };
+  const n = X.length;
+  if (n < 3) throw new Error('Too few rows to cluster');
+  const random = seededRandom(seed);
+  const silhouette = silhouetteScorer(X, random);
+  const ks = d3.range(2, Math.min(SWEEP_MAX_K, n - 1) + 1);
+
+  let labels;
+  let sweep = null;
+  if (algorithm === 'kmeans') {
+    // each k gets its own generator so results do not depend on the sweep
+    const run = (kk) => kMeans(X, kk, seededRandom(seed + kk));
+    sweep = ks.map(kk => ({ k: kk, silhouette: silhouette(run(kk)) }));
+    labels = run(Math.min(k, n));
+  } else if (algorithm === 'hierarchical') {
+    const merges = wardLinkage(X);
+    sweep = ks.map(kk => ({ k: kk, silhouette: silhouette(cutTree(merges, n, kk)) }));
+    labels = cutTree(merges, n, Math.min(k, n));
+  } else if (algorithm === 'dbscan') {
+    labels = dbscan(X, eps, minPts);
+  } else {
+    throw new Error(`Unknown clustering algorithm: ${algorithm}`);
+  }
+
+  return {
+    labels,
+    silhouette: silhouette(labels),
+    sweep
+  };
+}
+
+// Cluster assignments described like a categorical column, for "Color by" and legends
+export function clusterMetadata(labels) {
+  const ids = [...new Set(labels)].sort((a, b) => a - b);
+  // noise last, greyed out
+  const domain = [...ids.filter(id => id !== NOISE), ...ids.filter(id => id === NOISE)];
+  return {
+    type: 'categorical',
+    label: 'Cluster',
+    domain,
+    labels: Object.fromEntries(domain.map(id => [id, id === NOISE ? 'Noise' : `Cluster ${id + 1}`])),
+    colors: domain.map(id => (id === NOISE ? '#bdc3c7' : d3.schemeTableau10[id % 10]))
+  };
+}
@@ -0,0 +1,54 @@
+// Main-thread side of workers/clustering.worker.js. Like projections, a new
+// clustering run cancels the one still in flight.
+let worker = null;
+let rejectPending = null;
+
+export function cancelClustering() {
+  if (worker) {
+    worker.terminate();
+    worker = null;
+  }
+  if (rejectPending) {
+    rejectPending();
+    rejectPending = null;
+  }
+}
+
+export function runClustering(request) {
+  cancelClustering();
+
+  const current = new Worker(new URL('../workers/clustering.worker.js', import.meta.url), {
+    type: 'module'
+  });
+  worker = current;
+
+  return new Promise((resolve, reject) => {
+    const finish = () => {
+      rejectPending = null;
+      current.terminate();
+      if (worker === current) worker = null;
+    };
+
+    rejectPending = () => {
+      const error = new Error('Clustering cancelled');
+      error.name = 'AbortError';
+      reject(error);
+    };
+
+    current.onmessage = (event) => {
+      finish();
+      if (event.data.type === 'done') {
+        resolve(event.data.result);
+      } else {
+        reject(new Error(event.data.message));
+      }
+    };
+
+    current.onerror = (event) => {
+      finish();
+      reject(new Error(event.message || 'Clustering worker failed'));
+    };
+
+    current.postMessage(request);
+  });
+}
@@ -0,0 +1,98 @@
+import * as d3 from 'd3';
+
+// Saved cohorts: { id, name, description, color, indices, visible, query }.
+// Visible cohorts appear in the comparison charts; query is the criteria a
+// cohort was defined by, if any, so it can be re-evaluated on other data.
+
+// The selection keeps its own colour, so the palette starts elsewhere
+const COHORT_COLORS = ['#e67e22', '#9b59b6', '#1abc9c', '#e74c3c', '#34495e', '#f1c40f', '#16a085', '#d35400', '#7f8c8d', '#2ecc71'];
+export const SELECTION_COLOR = '#3498db';
+
+function nextId(cohorts) {
+  const numbers = cohorts.map(c => Number(c.id.slice(1))).filter(Number.isFinite);
+  return `c${(d3.max(numbers) ?? 0) + 1}`;
+}
+
+// First palette colour not in use, cycling once all are taken
+function nextColor(cohorts) {
+  const used = new Set(cohorts.map(c => c.color));
+  return COHORT_COLORS.find(color => !used.has(color)) ?? COHORT_COLORS[cohorts.length % COHORT_COLORS.length];
+}
+
+export function createCohort(cohorts, { name, description = '', indices, query = null }) {
+  const id = nextId(cohorts);
+  return {
+    id,
+    name: name || `Cohort ${id.slice(1)}`,
+    description,
+    color: nextColor(cohorts),
+    indices: [...indices].sort((a, b) => a - b),
+    visible: true,
+    query
+  };
+}
+
+export function updateCohort(cohorts, id, changes) {
+  return cohorts.map(c => (c.id === id ? { ...c, ...changes } : c));
+}
+
+export function deleteCohort(cohorts, id) {
+  return cohorts.filter(c => c.id !== id);
+}
+
+// Set operations between the selection and saved cohorts. Complement is taken
+// against the whole dataset and ignores the second operand.
+export const SET_OPERATIONS = [
+  { id: 'union', label: 'A ∪ B (union)', binary: true },
+  { id: 'intersection', label: 'A ∩ B (intersection)', binary: true },
+  { id: 'difference', label: 'A − B (difference)', binary: true },
+  { id: 'complement', label: 'not A (complement)', binary: false }
+];
+
+export function combineIndices(operation, a, b, total) {
+  const inB = new Set(b);
+  let result;
+  switch (operation) {
+    case 'union':
+      result = [...new Set([...a, ...b])];
+      break;
+    case 'intersection':
+      result = a.filter(i => inB.has(i));
+      break;
+    case 'difference':
+      result = a.filter(i => !inB.has(i));
+      break;
+    case 'complement': {
+      const inA = new Set(a);
+      result = d3.range(total).filter(i => !inA.has(i));
+      break;
+    }
+    default:
+      throw new Error(`Unknown set operation: ${operation}`);
+  }
+  return result.sort((x, y) => x - y);
+}
+
+// How a combined cohort was derived, e.g. '"Smokers" ∩ selection of 120'
+export function describeOperation(operation, a, b) {
+  switch (operation) {
+    case 'union': return `${a} ∪ ${b}`;
+    case 'intersection': return `${a} ∩ ${b}`;
+    case 'difference': return `${a} − ${b}`;
+    case 'complement': return `not ${a}`;
+    default: return operation;
+  }
+}
+
+// The query defining a combined cohort, from its operands' queries; null
+// unless every operand the operation uses was defined by one
+export function combineQueries(operation, a, b) {
+  if (a === null || (b === null && operation !== 'complement')) return null;
+  switch (operation) {
+    case 'union': return `(${a}) OR (${b})`;
+    case 'intersection': return `(${a}) AND (${b})`;
+    case 'difference': return `(${a}) AND NOT (${b})`;
+    case 'complement': return `NOT (${a})`;
+    default: return null;
+  }
+}
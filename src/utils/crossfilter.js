@@ -0,0 +1,32 @@
+import { isMissing } from './missingness';
+
+// Histogram filters, one per feature: { range: [min, max] } from a brush on a
+// numeric histogram, or { values: [...] } from clicked categorical bars.
+// Filters on different features combine with AND; missing values never match.
+
+export function matchesFilter(filter, value) {
+  if (isMissing(value)) return false;
+  if (filter.range) return value >= filter.range[0] && value <= filter.range[1];
+  return filter.values.includes(value);
+}
+
+// Rows passing every filter
+export function applyFilters(data, filters) {
+  const active = Object.entries(filters);
+  const indices = [];
+  data.forEach((row, i) => {
+    if (active.every(([feature, filter]) => matchesFilter(filter, row[feature]))) indices.push(i);
+  });
+  return indices;
+}
+
+// Ctrl/Cmd-click adds or removes a category; a plain click selects it alone,
+// or clears the filter when it is already the only one selected
+export function toggleValue(filter, value, additive) {
+  const values = filter?.values ?? [];
+  if (!additive) {
+    return values.length === 1 && values[0] === value ? null : { values: [value] };
+  }
+  const next = values.includes(value) ? values.filter(v => v !== value) : [...values, value];
+  return next.length > 0 ? { values: next } : null;
+}
@@ -0,0 +1,136 @@
+import { inferFeatureMetadata } from './dataLoader';
+
+// A data dictionary is a JSON file shipped next to a dataset:
+//
+//   { "version": 1, "features": { "<column>": { "label": "...", ... } } }
+//
+// Every field of a feature entry is optional; anything left out falls back to
+// what inferFeatureMetadata() works out from the data itself.
+const FEATURE_TYPES = ['numeric', 'ordinal', 'categorical', 'binary', 'text'];
+
+const FEATURE_FIELDS = {
+  label: v => typeof v === 'string' && v.length > 0,
+  type: v => FEATURE_TYPES.includes(v),
+  unit: v => typeof v === 'string',
+  description: v => typeof v === 'string',
+  domain: v => Array.isArray(v) && v.length > 0,
+  valueLabels: v => v !== null && typeof v === 'object' && !Array.isArray(v),
+  outcome: v => typeof v === 'boolean',
+  higherIsWorse: v => typeof v === 'boolean',
+  referenceRange: v => Array.isArray(v) && v.length === 2 &&
+    v.every(Number.isFinite) && v[0] <= v[1],
+  projection: v => typeof v === 'boolean',
+  default: v => typeof v === 'number' || typeof v === 'string'
+};
+
+// Returns { errors, warnings }; errors make the dictionary unusable
+export function validateDictionary(dictionary, headers) {
+  const errors = [];
+  const warnings = [];
+
+  if (!dictionary || typeof dictionary !== 'object' || Array.isArray(dictionary)) {
+    return { errors: ['Dictionary must be a JSON object'], warnings };
+  }
+  if (dictionary.version !== 1) {
+    errors.push(`Unsupported dictionary version: ${dictionary.version}`);
+  }
+  const features = dictionary.features;
+  if (!features || typeof features !== 'object' || Array.isArray(features)) {
+    errors.push('Dictionary must have a "features" object');
+    return { errors, warnings };
+  }
+
+  Object.entries(features).forEach(([name, entry]) => {
+    if (!headers.includes(name)) {
+      warnings.push(`"${name}" is described but is not a column of the dataset`);
+    }
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      errors.push(`"${name}": entry must be an object`);
+      return;
+    }
+    Object.entries(entry).forEach(([field, value]) => {
+      const check = FEATURE_FIELDS[field];
+      if (!check) {
+        warnings.push(`"${name}": unknown field "${field}"`);
+      } else if (!check(value)) {
+        errors.push(`"${name}": invalid ${field} ${JSON.stringify(value)}`);
+      }
+    });
+  });
+
+  const outcomes = Object.keys(features).filter(name => features[name]?.outcome);
+  if (outcomes.length > 1) {
+    errors.push(`Only one outcome column is allowed, found ${outcomes.join(', ')}`);
+  }
+
+  headers
+    .filter(h => !(h in features))
+    .forEach(h => warnings.push(`"${h}" has no dictionary entry; its type is inferred`));
+
+  return { errors, warnings };
+}
+
+// Merge dictionary entries over the inferred metadata
+export function applyDictionary(data, headers, dictionary) {
+  const metadata = inferFeatureMetadata(data, headers);
+  if (!dictionary) return metadata;
+
+  headers.forEach(header => {
+    const entry = dictionary.features[header];
+    if (!entry) return;
+
+    const { valueLabels, ...rest } = entry;
+    const meta = { ...metadata[header], ...rest };
+
+    if (valueLabels) {
+      // labels are looked up by value, e.g. meta.labels[1]
+      meta.labels = valueLabels;
+      if (!entry.domain) {
+        meta.domain = Object.keys(valueLabels)
+          .map(k => (Number.isFinite(Number(k)) ? Number(k) : k));
+      }
+    }
+    // only numeric columns are projected unless the dictionary opts a column in
+    if (meta.type === 'text' || (meta.type !== 'numeric' && entry.projection === undefined)) {
+      meta.projection = false;
+    }
+    metadata[header] = meta;
+  });
+
+  return metadata;
+}
+
+export async function loadDataDictionary(path) {
+  const response = await fetch(`${import.meta.env.BASE_URL}${path}`);
+  if (!response.ok) {
+    throw new Error(`Could not load data dictionary ${path} (${response.status})`);
+  }
+  return response.json();
+}
+
+export function getOutcomeFeature(metadata) {
+  return Object.keys(metadata).find(f => metadata[f].outcome) ?? null;
+}
+
+// Label for a projection column; one-hot columns are named "feature=level"
+export function columnLabel(column, metadata) {
+  if (metadata[column]) return metadata[column].label;
+  const eq = column.indexOf('=');
+  const meta = metadata[column.slice(0, eq)];
+  if (eq < 0 || !meta) return column;
+  const level = column.slice(eq + 1);
+  return `${meta.label}: ${meta.labels?.[level] ?? level}`;
+}
+
+// Display form of a value: category labels, a few significant decimals, the unit
+export function formatValue(value, meta) {
+  if (value === null || value === undefined || Number.isNaN(value)) return 'missing';
+  if (meta?.labels?.[value] !== undefined) return meta.labels[value];
+  if (typeof value !== 'number') return String(value);
+  const text = Number.isInteger(value) ? String(value) : String(+value.toFixed(2));
+  return meta?.unit ? `${text} ${meta.unit}` : text;
+}
+
+export function getProjectionFeatures(metadata) {
+  return Object.keys(metadata).filter(f => metadata[f].projection);
+}
@@ -1,127 +1,224 @@
+import * as d3 from 'd3';
 import { PCA } from 'ml-pca';
 import { UMAP } from 'umap-js';
+import { imputeMatrix } from './imputation';
+import { isMissing } from './missingness';
+
+// Tokens that always mean "no value", whatever column they appear in
+const MISSING_TOKENS = ['', 'NA', 'N/A', 'na', 'n/a', 'NaN', 'nan', 'null', 'NULL', 'None', '.', '?'];
+
+// A column is treated as numeric when at least this share of its non-empty
+// cells parse as numbers; the rest are taken to be missing-value codes
+const NUMERIC_SHARE = 0.9;
+const MAX_ORDINAL_LEVELS = 10;
+const MAX_CATEGORIES = 20;
+
+export function detectDelimiter(text) {
+  const firstLine = text.split(/\r\n|\n|\r/, 1)[0];
+  const candidates = [',', '\t', ';', '|'];
+  const counts = candidates.map(c => firstLine.split(c).length - 1);
+  const best = counts.indexOf(Math.max(...counts));
+  return counts[best] > 0 ? candidates[best] : ',';
+}
 
-export async function loadFraminghamData() {
-  const response = await fetch(`${import.meta.env.BASE_URL}framingham.csv`);
-  const text = await response.text();
+function isNumericToken(value) {
+  return value !== '' && Number.isFinite(Number(value));
+}
 
-  // Handle different line endings: \r\n (Windows), \n (Unix), \r (Old Mac)
-  const lines = text.trim().split(/\r\n|\n|\r/);
-  const headers = ['male', 'age', 'education', 'currentSmoker', 'cigsPerDay', 'BPMeds',
-                   'prevalentStroke', 'prevalentHyp', 'diabetes', 'totChol', 'sysBP',
-                   'diaBP', 'BMI', 'heartRate', 'glucose', 'TenYearCHD'];
+// Parse delimited text whose first row is a header. d3.dsvFormat handles
+// quoting and all three line-ending styles (\r\n, \n, \r).
+export function parseCohortText(text) {
+  const delimiter = detectDelimiter(text);
+  const rows = d3.dsvFormat(delimiter).parseRows(text.trim(), row => row.map(v => v.trim()));
+  if (rows.length < 2) {
+    throw new Error('File must contain a header row and at least one data row');
+  }
 
-  const data = lines.map(line => {
-    const values = line.split(',');
+  const seen = new Set();
+  const headers = rows[0].map((name, i) => {
+    let header = name || `column_${i + 1}`;
+    while (seen.has(header)) header = `${header}_${i + 1}`;
+    seen.add(header);
+    return header;
+  });
+  const body = rows.slice(1).filter(row => row.some(v => v !== ''));
+
+  // Anything non-numeric inside a mostly-numeric column is a missing-value code
+  const missingTokens = new Set();
+  headers.forEach((_, j) => {
+    let numeric = 0;
+    let filled = 0;
+    const others = new Set();
+    body.forEach(row => {
+      const v = row[j] ?? '';
+      if (MISSING_TOKENS.includes(v)) {
+        missingTokens.add(v);
+        return;
+      }
+      filled++;
+      if (isNumericToken(v)) numeric++;
+      else others.add(v);
+    });
+    if (filled > 0 && numeric / filled >= NUMERIC_SHARE) {
+      others.forEach(v => missingTokens.add(v));
+    }
+  });
+
+  const data = body.map(row => {
     const obj = {};
-    headers.forEach((header, i) => {
-      const value = values[i];
-      if (value === 'NA' || value === '' || value === undefined) {
+    headers.forEach((header, j) => {
+      const value = row[j];
+      if (value === undefined || missingTokens.has(value)) {
         obj[header] = null;
       } else {
-        const num = Number(value);
-        obj[header] = isNaN(num) ? value : num;
+        obj[header] = isNumericToken(value) ? Number(value) : value;
       }
     });
     return obj;
   });
 
-  return { data, headers };
+  return { data, headers, delimiter, missingTokens: [...missingTokens] };
 }
 
-export function getFeatureMetadata() {
-  return {
-    male: { type: 'categorical', label: 'Sex', domain: [0, 1], labels: ['Female', 'Male'] },
-    age: { type: 'numeric', label: 'Age', unit: 'years' },
-    education: { type: 'ordinal', label: 'Education', domain: [1, 2, 3, 4] },
-    currentSmoker: { type: 'categorical', label: 'Current Smoker', domain: [0, 1], labels: ['No', 'Yes'] },
-    cigsPerDay: { type: 'numeric', label: 'Cigarettes Per Day', unit: 'cigs/day' },
-    BPMeds: { type: 'categorical', label: 'BP Medication', domain: [0, 1], labels: ['No', 'Yes'] },
-    prevalentStroke: { type: 'categorical', label: 'Prevalent Stroke', domain: [0, 1], labels: ['No', 'Yes'] },
-    prevalentHyp: { type: 'categorical', label: 'Hypertension', domain: [0, 1], labels: ['No', 'Yes'] },
-    diabetes: { type: 'categorical', label: 'Diabetes', domain: [0, 1], labels: ['No', 'Yes'] },
-    totChol: { type: 'numeric', label: 'Total Cholesterol', unit: 'mg/dL' },
-    sysBP: { type: 'numeric', label: 'Systolic BP', unit: 'mmHg' },
-    diaBP: { type: 'numeric', label: 'Diastolic BP', unit: 'mmHg' },
-    BMI: { type: 'numeric', label: 'BMI', unit: 'kg/m²' },
-    heartRate: { type: 'numeric', label: 'Heart Rate', unit: 'bpm' },
-    glucose: { type: 'numeric', label: 'Glucose', unit: 'mg/dL' },
-    TenYearCHD: { type: 'categorical', label: '10-Year CHD', domain: [0, 1], labels: ['No', 'Yes'] }
-  };
+export async function loadCohortFile(file) {
+  const text = await file.text();
+  return parseCohortText(text);
 }
 
-// Helper function to preprocess data for both PCA and t-SNE
-function preprocessData(data, features) {
-  const n = data.length;
-  const m = features.length;
-
-  // 1) Compute column medians (ignoring nulls)
-  const medians = features.map(f => {
-    const vals = data
-      .map(d => d[f])
-      .filter(v => v !== null && !isNaN(v));
-    const sorted = vals.slice().sort((a, b) => a - b);
-    const mid = Math.floor(sorted.length / 2);
-    if (sorted.length === 0) return 0;
-    return sorted.length % 2 === 0
-      ? (sorted[mid - 1] + sorted[mid]) / 2
-      : sorted[mid];
-  });
-
-  // 2) Build matrix with median imputation
-  const matrix = [];
-  const validIndices = [];
+// path is relative to the public/ directory
+export async function loadCohortUrl(path) {
+  const response = await fetch(`${import.meta.env.BASE_URL}${path}`);
+  if (!response.ok) {
+    throw new Error(`Could not load ${path} (${response.status})`);
+  }
+  const text = await response.text();
+  return parseCohortText(text);
+}
 
-  for (let i = 0; i < n; i++) {
-    const row = [];
-    let allMissing = true;
-    for (let j = 0; j < m; j++) {
-      const f = features[j];
-      let v = data[i][f];
-      if (v === null || isNaN(v)) {
-        v = medians[j];
+// Infer type and domain of every column; a data dictionary can refine these
+export function inferFeatureMetadata(data, headers) {
+  const metadata = {};
+
+  headers.forEach(header => {
+    const values = data.map(d => d[header]).filter(v => v !== null);
+    const distinct = [...new Set(values)];
+    const meta = { label: header };
+
+    if (values.length === 0) {
+      meta.type = 'text';
+    } else if (values.every(v => typeof v === 'number')) {
+      distinct.sort((a, b) => a - b);
+      if (distinct.every(v => v === 0 || v === 1)) {
+        meta.type = 'binary';
+        meta.domain = [0, 1];
+      } else if (distinct.length <= MAX_ORDINAL_LEVELS && distinct.every(Number.isInteger)) {
+        meta.type = 'ordinal';
+        meta.domain = distinct;
       } else {
-        allMissing = false;
+        meta.type = 'numeric';
+        meta.domain = d3.extent(distinct);
+        meta.projection = true;
       }
-      row.push(v);
-    }
-    if (!allMissing) {
-      matrix.push(row);
-      validIndices.push(i);
+    } else if (distinct.length <= MAX_CATEGORIES) {
+      meta.type = 'categorical';
+      meta.domain = distinct.sort((a, b) => String(a).localeCompare(String(b)));
+    } else {
+      // free text or identifiers; not shown in any view
+      meta.type = 'text';
     }
-  }
+
+    meta.missing = data.length - values.length;
+    metadata[header] = meta;
+  });
+
+  return metadata;
+}
+
+export function isCategoricalFeature(meta) {
+  return !!meta && (meta.type === 'categorical' || meta.type === 'ordinal' || meta.type === 'binary');
+}
+
+// One-hot encode nominal categorical features: every observed level becomes a
+// 0/1 column named "feature=level". Missing stays missing so imputation applies.
+function encodeFeatures(data, features, categorical = []) {
+  const columns = features.flatMap(feature => {
+    if (!categorical.includes(feature)) return [{ name: feature, feature }];
+    const levels = [...new Set(data.map(d => d[feature]).filter(v => !isMissing(v)))]
+      .sort((a, b) => String(a).localeCompare(String(b), undefined, { numeric: true }));
+    return levels.map(level => ({ name: `${feature}=${level}`, feature, level }));
+  });
+  if (columns.every(c => c.level === undefined)) return { rows: data, columns };
+
+  const rows = data.map(d => {
+    const row = {};
+    columns.forEach(c => {
+      const v = d[c.feature];
+      if (c.level === undefined) row[c.name] = v;
+      else row[c.name] = isMissing(v) ? null : Number(v === c.level);
+    });
+    return row;
+  });
+  return { rows, columns };
+}
+
+// Helper function to preprocess data for PCA, UMAP and t-SNE
+export function preprocessData(data, features, { imputation = 'median', categorical, weights = {} } = {}) {
+  // 1) Encode categorical features, then impute (or drop) missing values with the chosen strategy
+  const { rows, columns } = encodeFeatures(data, features, categorical);
+  const { matrix, mask, validIndices } = imputeMatrix(rows, columns.map(c => c.name), imputation);
 
   if (matrix.length === 0) {
-    return { matrix: [], validIndices: [], normalized: [] };
+    return { matrix: [], validIndices: [], normalized: [], imputedIndices: [], columns: [], encoder: null };
   }
 
-  // 3) Standardize (same as StandardScaler)
-  const means = features.map((_, j) => {
+  const imputedIndices = validIndices.filter((_, r) => mask[r].includes(true));
+
+  // 2) Standardize (same as StandardScaler). One-hot columns are only centred,
+  // so two different levels sit sqrt(2) apart, the typical standardized distance.
+  const means = columns.map((_, j) => {
     const sum = matrix.reduce((acc, row) => acc + row[j], 0);
     return sum / matrix.length;
   });
 
-  const stds = features.map((_, j) => {
+  const stds = columns.map((c, j) => {
+    if (c.level !== undefined) return 1;
     const variance =
       matrix.reduce((acc, row) => acc + Math.pow(row[j] - means[j], 2), 0) /
       matrix.length;
     return Math.sqrt(variance) || 1;
   });
 
+  // 3) Weight: a feature counts w times as much in every distance (all of its one-hot columns alike)
+  const scales = columns.map((c, j) => (weights[c.feature] ?? 1) / stds[j]);
+
   const normalized = matrix.map(row =>
-    row.map((val, j) => (val - means[j]) / stds[j])
+    row.map((val, j) => (val - means[j]) * scales[j])
   );
 
-  return { matrix, validIndices, normalized };
+  // what encodeRecord needs to place a new record in the same space
+  const encoder = { columns, means, scales };
+
+  return { matrix, validIndices, normalized, imputedIndices, columns: columns.map(c => c.name), encoder };
+}
+
+// Encode, standardize and weight one record as preprocessData did the cohort.
+// Its missing values take the cohort mean, i.e. 0 after centring.
+export function encodeRecord(record, { columns, means, scales }) {
+  return columns.map((c, j) => {
+    const v = record[c.feature];
+    if (isMissing(v)) return 0;
+    const value = c.level === undefined ? Number(v) : Number(v === c.level);
+    return (value - means[j]) * scales[j];
+  });
 }
 
-export function computePCA(data, features) {
+export function computePCA(data, features, options = {}) {
   console.log('Computing PCA with features:', features);
 
-  const { validIndices, normalized } = preprocessData(data, features);
+  const { validIndices, normalized, imputedIndices, columns, encoder } = preprocessData(data, features, options);
 
   if (normalized.length === 0) {
-    return { projection: [], validIndices: [] };
+    return { projection: [], validIndices: [], imputedIndices: [] };
   }
 
   console.log(`Total rows: ${data.length}, Rows after preprocessing: ${normalized.length}`);
@@ -130,69 +227,430 @@ export function computePCA(data, features) {
   const pca = new PCA(normalized, { center: false, scale: false });
   const eigenvalues = pca.getEigenvalues();
 
-  // Project onto PC1, PC2
-  const projectionMatrix = pca.predict(normalized, { nComponents: 2 });
+  // Scores on every component, so any pair can be plotted without recomputing
+  const scores = pca.predict(normalized).to2DArray();
+  const projection = scores.map(row => ({ x: row[0], y: row[1] ?? 0 }));
 
-  const projection = [];
-  for (let i = 0; i < projectionMatrix.rows; i++) {
-    projection.push({
-      x: projectionMatrix.get(i, 0),
-      y: projectionMatrix.get(i, 1)
-    });
-  }
+  // loadings[k][j]: weight of encoded column j in component k
+  const loadings = pca.getLoadings().to2DArray();
 
   const totalVar = eigenvalues.reduce((a, b) => a + b, 0);
-  const varExplained1 = (eigenvalues[0] / totalVar) * 100;
-  const varExplained2 = (eigenvalues[1] / totalVar) * 100;
+  const varExplained = eigenvalues.map(v => (v / totalVar) * 100);
 
-  console.log(`PCA: PC1 explains ${varExplained1.toFixed(1)}%, PC2 explains ${varExplained2.toFixed(1)}%`);
+  console.log(`PCA: PC1 explains ${varExplained[0].toFixed(1)}%, PC2 explains ${(varExplained[1] ?? 0).toFixed(1)}%`);
 
   return {
     projection,
     validIndices,
-    varExplained: [varExplained1, varExplained2],
-    features
+    varExplained,
+    eigenvalues,
+    loadings,
+    scores,
+    columns,
+    features,
+    imputedIndices,
+    // plain JSON so it survives postMessage and IndexedDB; PCA.load restores it
+    model: JSON.parse(JSON.stringify(pca)),
+    encoder
+  };
+}
+
+// Scores of encoded rows (see encodeRecord) on every component of a stored PCA model
+export function predictPCA(model, rows) {
+  return PCA.load(model).predict(rows).to2DArray();
+}
+
+export const UMAP_DEFAULTS = {
+  nEpochs: 200,
+  nNeighbors: 15,
+  minDist: 0.1,
+  spread: 1.0,
+  metric: 'euclidean',
+  seed: 42
+};
+
+// Distance functions for the neighbour search, looked up by name because
+// functions cannot be posted to the projection worker
+export const UMAP_METRICS = {
+  euclidean: (a, b) => Math.sqrt(a.reduce((acc, v, i) => acc + (v - b[i]) ** 2, 0)),
+  manhattan: (a, b) => a.reduce((acc, v, i) => acc + Math.abs(v - b[i]), 0),
+  chebyshev: (a, b) => a.reduce((acc, v, i) => Math.max(acc, Math.abs(v - b[i])), 0),
+  cosine: (a, b) => {
+    let dot = 0;
+    let normA = 0;
+    let normB = 0;
+    a.forEach((v, i) => {
+      dot += v * b[i];
+      normA += v * v;
+      normB += b[i] * b[i];
+    });
+    return normA === 0 || normB === 0 ? 1 : 1 - dot / Math.sqrt(normA * normB);
+  }
+};
+
+// Mulberry32: a small deterministic generator, so a seed reproduces a layout
+export function seededRandom(seed) {
+  let state = seed >>> 0;
+  return () => {
+    state = (state + 0x6d2b79f5) >>> 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
   };
 }
 
-export function computeUMAP(data, features) {
+// Emit an intermediate layout every this many epochs
+const FRAME_INTERVAL = 10;
+
+function toPoints(embedding) {
+  return embedding.map(point => ({
+    x: point[0],
+    y: point[1]
+  }));
+}
+
+// Runs the optimization epoch by epoch so callers (the projection worker) can
+// report progress and stream intermediate layouts. onModel receives the fitted
+// UMAP, which cannot leave the worker, for later transforms.
+export function computeUMAP(data, features, options = {}, { onProgress, onFrame, onModel } = {}) {
   console.log('Computing UMAP with features:', features);
 
-  const { validIndices, normalized } = preprocessData(data, features);
+  const { validIndices, normalized, imputedIndices, encoder } = preprocessData(data, features, options);
 
   if (normalized.length === 0) {
-    return { projection: [], validIndices: [] };
+    return { projection: [], validIndices: [], imputedIndices: [] };
   }
 
   console.log(`Total rows: ${data.length}, Rows after preprocessing: ${normalized.length}`);
 
   try {
+    const params = { ...UMAP_DEFAULTS, ...options.umap };
+    const { metric, seed, ...umapParams } = params;
+    if (!UMAP_METRICS[metric]) {
+      throw new Error(`Unknown distance metric: ${metric}`);
+    }
     const umap = new UMAP({
       nComponents: 2,
-      nEpochs: 200,
-      nNeighbors: 15,
-      minDist: 0.1,
-      spread: 1.0
+      ...umapParams,
+      distanceFn: UMAP_METRICS[metric],
+      random: seededRandom(seed)
     });
 
     console.log('Starting UMAP fit...');
-    const embedding = umap.fit(normalized);
+    const nEpochs = umap.initializeFit(normalized);
+    onProgress?.(0, nEpochs);
+    for (let epoch = 1; epoch <= nEpochs; epoch++) {
+      umap.step();
+      onProgress?.(epoch, nEpochs);
+      if (onFrame && epoch % FRAME_INTERVAL === 0 && epoch < nEpochs) {
+        onFrame(toPoints(umap.getEmbedding()), validIndices);
+      }
+    }
     console.log('UMAP fit completed, formatting results...');
 
-    const projection = embedding.map(point => ({
-      x: point[0],
-      y: point[1]
-    }));
+    const projection = toPoints(umap.getEmbedding());
+    onModel?.(umap);
 
     console.log('UMAP: Completed optimization', projection.length, 'points');
 
+    // everything needed to reproduce this layout
     return {
       projection,
       validIndices,
-      features
+      features,
+      imputedIndices,
+      params,
+      encoder
     };
   } catch (error) {
     console.error('UMAP computation failed:', error);
     throw error;
   }
 }
+
+export const TSNE_DEFAULTS = {
+  perplexity: 30,
+  iterations: 500,
+  learningRate: 200,
+  seed: 42
+};
+
+const TSNE_THETA = 0.5;
+const EARLY_EXAGGERATION = 12;
+
+// Sparse input affinities: each point's 3*perplexity nearest neighbours, with
+// Gaussian bandwidths found by binary search so every row hits the perplexity
+function tsneAffinities(X, perplexity) {
+  const n = X.length;
+  const k = Math.min(n - 1, Math.floor(3 * perplexity));
+  const targetEntropy = Math.log(perplexity);
+  const neighbors = [];
+
+  for (let i = 0; i < n; i++) {
+    const idx = [];
+    const dist = [];
+    for (let j = 0; j < n; j++) {
+      if (j === i) continue;
+      let d = 0;
+      for (let c = 0; c < X[i].length; c++) d += (X[i][c] - X[j][c]) ** 2;
+      if (idx.length === k && d >= dist[k - 1]) continue;
+      let at = idx.length;
+      while (at > 0 && dist[at - 1] > d) at--;
+      idx.splice(at, 0, j);
+      dist.splice(at, 0, d);
+      if (idx.length > k) {
+        idx.pop();
+        dist.pop();
+      }
+    }
+
+    let beta = 1;
+    let lo = -Infinity;
+    let hi = Infinity;
+    let p = [];
+    for (let iter = 0; iter < 50; iter++) {
+      p = dist.map(d => Math.exp(-(d - dist[0]) * beta));
+      const sum = d3.sum(p) || 1e-12;
+      const entropy = Math.log(sum) + beta * d3.sum(dist, (d, c) => (d - dist[0]) * p[c]) / sum;
+      p = p.map(v => v / sum);
+      if (Math.abs(entropy - targetEntropy) < 1e-5) break;
+      if (entropy > targetEntropy) {
+        lo = beta;
+        beta = hi === Infinity ? beta * 2 : (beta + hi) / 2;
+      } else {
+        hi = beta;
+        beta = lo === -Infinity ? beta / 2 : (beta + lo) / 2;
+      }
+    }
+    neighbors.push(idx.map((j, c) => [j, p[c]]));
+  }
+
+  // Symmetrize: p_ij = (p_j|i + p_i|j) / 2n
+  const rows = Array.from({ length: n }, () => new Map());
+  neighbors.forEach((list, i) => {
+    list.forEach(([j, p]) => {
+      rows[i].set(j, (rows[i].get(j) || 0) + p / (2 * n));
+      rows[j].set(i, (rows[j].get(i) || 0) + p / (2 * n));
+    });
+  });
+  const size = d3.sum(rows, row => row.size);
+  const edges = { from: new Int32Array(size), to: new Int32Array(size), p: new Float64Array(size) };
+  let e = 0;
+  rows.forEach((row, i) => row.forEach((p, j) => {
+    edges.from[e] = i;
+    edges.to[e] = j;
+    edges.p[e] = p;
+    e++;
+  }));
+  return edges;
+}
+
+// Flat quadtree over the embedding (Y holds x0, y0, x1, y1, ...). Nodes keep the
+// summed coordinates and count of the points below them; leaves hold one point
+// or a stack of coincident ones.
+function buildQuadtree(Y, n) {
+  let minX = Infinity;
+  let minY = Infinity;
+  let maxX = -Infinity;
+  let maxY = -Infinity;
+  for (let i = 0; i < n; i++) {
+    minX = Math.min(minX, Y[2 * i]);
+    maxX = Math.max(maxX, Y[2 * i]);
+    minY = Math.min(minY, Y[2 * i + 1]);
+    maxY = Math.max(maxY, Y[2 * i + 1]);
+  }
+
+  const tree = { sumX: [], sumY: [], count: [], x0: [], y0: [], size: [], child: [], point: [] };
+  const addNode = (x0, y0, size) => {
+    tree.sumX.push(0);
+    tree.sumY.push(0);
+    tree.count.push(0);
+    tree.x0.push(x0);
+    tree.y0.push(y0);
+    tree.size.push(size);
+    tree.child.push(-1, -1, -1, -1);
+    tree.point.push(-1);
+    return tree.count.length - 1;
+  };
+  const quadrant = (node, x, y) => {
+    const half = tree.size[node] / 2;
+    return (x >= tree.x0[node] + half ? 1 : 0) + (y >= tree.y0[node] + half ? 2 : 0);
+  };
+  const childFor = (node, q) => {
+    if (tree.child[4 * node + q] === -1) {
+      const half = tree.size[node] / 2;
+      tree.child[4 * node + q] = addNode(
+        tree.x0[node] + (q & 1 ? half : 0),
+        tree.y0[node] + (q & 2 ? half : 0),
+        half
+      );
+    }
+    return tree.child[4 * node + q];
+  };
+  const isLeaf = node => tree.child[4 * node] === -1 && tree.child[4 * node + 1] === -1 &&
+    tree.child[4 * node + 2] === -1 && tree.child[4 * node + 3] === -1;
+
+  addNode(minX, minY, Math.max(maxX - minX, maxY - minY) || 1);
+
+  for (let i = 0; i < n; i++) {
+    const x = Y[2 * i];
+    const y = Y[2 * i + 1];
+    let node = 0;
+    for (let depth = 0; ; depth++) {
+      if (isLeaf(node)) {
+        const resident = tree.point[node];
+        const coincident = resident !== -1 && Y[2 * resident] === x && Y[2 * resident + 1] === y;
+        if (resident === -1 || coincident || depth >= 32) {
+          if (resident === -1) tree.point[node] = i;
+          tree.sumX[node] += x;
+          tree.sumY[node] += y;
+          tree.count[node]++;
+          break;
+        }
+        // Split: push the resident point(s) down one level, then keep descending
+        const down = childFor(node, quadrant(node, Y[2 * resident], Y[2 * resident + 1]));
+        tree.point[down] = resident;
+        tree.sumX[down] = tree.sumX[node];
+        tree.sumY[down] = tree.sumY[node];
+        tree.count[down] = tree.count[node];
+        tree.point[node] = -1;
+      }
+      tree.sumX[node] += x;
+      tree.sumY[node] += y;
+      tree.count[node]++;
+      node = childFor(node, quadrant(node, x, y));
+    }
+  }
+
+  return {
+    cx: Float64Array.from(tree.sumX, (sum, node) => sum / tree.count[node]),
+    cy: Float64Array.from(tree.sumY, (sum, node) => sum / tree.count[node]),
+    count: Int32Array.from(tree.count),
+    size2: Float64Array.from(tree.size, size => size * size),
+    leaf: Uint8Array.from(tree.count, (_, node) => (isLeaf(node) ? 1 : 0)),
+    child: Int32Array.from(tree.child)
+  };
+}
+
+// Barnes-Hut repulsion: cells that are small relative to their distance act as
+// a single point at their centre of mass. Writes the unnormalized forces and
+// returns the normalization term Z.
+function tsneRepulsion(Y, n, forces) {
+  const { cx, cy, count, size2, leaf, child } = buildQuadtree(Y, n);
+  const stack = new Int32Array(child.length);
+  const theta2 = TSNE_THETA * TSNE_THETA;
+  let Z = 0;
+
+  for (let i = 0; i < n; i++) {
+    const yx = Y[2 * i];
+    const yy = Y[2 * i + 1];
+    let fx = 0;
+    let fy = 0;
+    let top = 0;
+    stack[0] = 0;
+    while (top >= 0) {
+      const node = stack[top--];
+      const dx = yx - cx[node];
+      const dy = yy - cy[node];
+      const d2 = dx * dx + dy * dy;
+
+      if (leaf[node] === 1 || size2[node] < theta2 * d2) {
+        // a leaf at distance 0 is this point (plus any duplicates of it)
+        const others = leaf[node] === 1 && d2 === 0 ? count[node] - 1 : count[node];
+        const w = 1 / (1 + d2);
+        Z += others * w;
+        fx += others * w * w * dx;
+        fy += others * w * w * dy;
+        continue;
+      }
+      for (let q = 0; q < 4; q++) {
+        const next = child[4 * node + q];
+        if (next !== -1) stack[++top] = next;
+      }
+    }
+    forces[2 * i] = fx;
+    forces[2 * i + 1] = fy;
+  }
+  return Z;
+}
+
+export function computeTSNE(data, features, options = {}, { onProgress, onFrame } = {}) {
+  console.log('Computing t-SNE with features:', features);
+
+  const { validIndices, normalized, imputedIndices } = preprocessData(data, features, options);
+  const n = normalized.length;
+
+  if (n < 3) {
+    return { projection: [], validIndices: [], imputedIndices: [] };
+  }
+
+  const params = { ...TSNE_DEFAULTS, ...options.tsne };
+  const { perplexity, iterations, learningRate, seed } = params;
+  // Perplexity must stay below the number of neighbours available
+  const effectivePerplexity = Math.min(perplexity, (n - 1) / 3);
+
+  console.log(`Total rows: ${data.length}, Rows after preprocessing: ${n}`);
+
+  const edges = tsneAffinities(normalized, effectivePerplexity);
+  const random = seededRandom(seed);
+  const Y = new Float64Array(2 * n).map(() => (random() - 0.5) * 1e-4);
+  const velocity = new Float64Array(2 * n);
+  const gains = new Float64Array(2 * n).fill(1);
+  const grad = new Float64Array(2 * n);
+  const exaggerationEnd = Math.min(250, Math.floor(iterations / 4));
+  const toLayout = () => Array.from({ length: n }, (_, i) => ({ x: Y[2 * i], y: Y[2 * i + 1] }));
+
+  onProgress?.(0, iterations);
+  for (let iter = 1; iter <= iterations; iter++) {
+    const exaggeration = iter <= exaggerationEnd ? EARLY_EXAGGERATION : 1;
+    const momentum = iter <= exaggerationEnd ? 0.5 : 0.8;
+
+    // dC/dy_i = 4 * sum_j (p_ij - q_ij) w_ij (y_i - y_j)
+    const Z = tsneRepulsion(Y, n, grad);
+    for (let k = 0; k < 2 * n; k++) grad[k] = -grad[k] / Z;
+    for (let e = 0; e < edges.p.length; e++) {
+      const i = edges.from[e];
+      const j = edges.to[e];
+      const dx = Y[2 * i] - Y[2 * j];
+      const dy = Y[2 * i + 1] - Y[2 * j + 1];
+      const pw = exaggeration * edges.p[e] / (1 + dx * dx + dy * dy);
+      grad[2 * i] += pw * dx;
+      grad[2 * i + 1] += pw * dy;
+    }
+
+    // Gradient descent with momentum and per-coordinate adaptive gains
+    let meanX = 0;
+    let meanY = 0;
+    for (let k = 0; k < 2 * n; k++) {
+      const g = 4 * grad[k];
+      gains[k] = Math.sign(g) === Math.sign(velocity[k])
+        ? Math.max(gains[k] * 0.8, 0.01)
+        : gains[k] + 0.2;
+      velocity[k] = momentum * velocity[k] - learningRate * gains[k] * g;
+      Y[k] += velocity[k];
+      if (k % 2 === 0) meanX += Y[k];
+      else meanY += Y[k];
+    }
+    for (let i = 0; i < n; i++) {
+      Y[2 * i] -= meanX / n;
+      Y[2 * i + 1] -= meanY / n;
+    }
+
+    onProgress?.(iter, iterations);
+    if (onFrame && iter % FRAME_INTERVAL === 0 && iter < iterations) {
+      onFrame(toLayout(), validIndices);
+    }
+  }
+
+  const projection = toLayout();
+  console.log('t-SNE: Completed optimization', projection.length, 'points');
+
+  return {
+    projection,
+    validIndices,
+    features,
+    imputedIndices,
+    params
+  };
+}
@@ -0,0 +1,55 @@
+import { loadCohortUrl } from './dataLoader';
+import { loadDataDictionary, validateDictionary, applyDictionary } from './dataDictionary';
+
+// public/datasets.json lists the cohorts the dashboard can switch between:
+//
+//   { "datasets": [{ "id", "name", "description", "file", "dictionary", "outcome" }] }
+//
+// Paths are relative to public/, so new cohorts need no rebuild.
+export async function loadDatasetRegistry() {
+  const response = await fetch(`${import.meta.env.BASE_URL}datasets.json`);
+  if (!response.ok) {
+    throw new Error(`Could not load dataset registry (${response.status})`);
+  }
+  const { datasets } = await response.json();
+  if (!Array.isArray(datasets) || datasets.length === 0) {
+    throw new Error('Dataset registry lists no datasets');
+  }
+  datasets.forEach(entry => {
+    if (!entry.id || !entry.file) {
+      throw new Error(`Registry entry ${JSON.stringify(entry)} needs an id and a file`);
+    }
+  });
+  return datasets;
+}
+
+// Validate the dictionary and merge it over the inferred metadata. Throws when
+// the dictionary cannot be applied; warnings only go to the console.
+export function resolveMetadata(data, headers, dictionary, outcome) {
+  if (dictionary) {
+    const { errors, warnings } = validateDictionary(dictionary, headers);
+    warnings.forEach(w => console.warn(`Data dictionary: ${w}`));
+    if (errors.length > 0) {
+      throw new Error(`Invalid data dictionary: ${errors.join('; ')}`);
+    }
+  }
+  const metadata = applyDictionary(data, headers, dictionary);
+
+  // The registry's outcome column wins over the dictionary's flag
+  if (outcome) {
+    if (!metadata[outcome]) {
+      throw new Error(`Outcome column "${outcome}" is not in the dataset`);
+    }
+    Object.keys(metadata).forEach(f => {
+      metadata[f] = { ...metadata[f], outcome: f === outcome };
+    });
+  }
+  return metadata;
+}
+
+export async function loadDataset(entry) {
+  const { data, headers } = await loadCohortUrl(entry.file);
+  const dictionary = entry.dictionary ? await loadDataDictionary(entry.dictionary) : null;
+  const metadata = resolveMetadata(data, headers, dictionary, entry.outcome);
+  return { data, headers, metadata };
+}
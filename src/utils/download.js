@@ -0,0 +1,12 @@
+// Offer text or binary contents to the user as a file
+export function downloadFile(fileName, contents, type) {
+  const url = URL.createObjectURL(new Blob([contents], { type }));
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = fileName;
+  document.body.appendChild(link);
+  link.click();
+  link.remove();
+  // some browsers start the download asynchronously
+  setTimeout(() => URL.revokeObjectURL(url), 0);
+}
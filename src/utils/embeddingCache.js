@@ -0,0 +1,74 @@
+// Computed embeddings persisted in IndexedDB, so returning to a projection
+// (or reloading the page) reuses the exact same layout instead of re-running it.
+const DB_NAME = 'cohort-dashboard';
+const STORE = 'embeddings';
+// Part of every key; bump when the shape of stored results changes
+const RESULT_VERSION = 3;
+
+let dbPromise = null;
+
+function openDatabase() {
+  if (typeof indexedDB === 'undefined') return Promise.resolve(null);
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve) => {
+      const request = indexedDB.open(DB_NAME, 1);
+      request.onupgradeneeded = () => request.result.createObjectStore(STORE);
+      request.onsuccess = () => resolve(request.result);
+      request.onerror = () => {
+        // private browsing and the like: run without a cache
+        console.warn('Embedding cache unavailable:', request.error);
+        resolve(null);
+      };
+    });
+  }
+  return dbPromise;
+}
+
+function withStore(mode, fn) {
+  return openDatabase().then(db => {
+    if (!db) return null;
+    return new Promise((resolve, reject) => {
+      const request = fn(db.transaction(STORE, mode).objectStore(STORE));
+      request.onsuccess = () => resolve(request.result ?? null);
+      request.onerror = () => reject(request.error);
+    });
+  });
+}
+
+// FNV-1a over the serialized rows; identifies the dataset contents, not its name
+export function hashDataset(data) {
+  const text = JSON.stringify(data);
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return (hash >>> 0).toString(16).padStart(8, '0');
+}
+
+export function embeddingKey({ datasetHash, method, features, options }) {
+  return JSON.stringify({ version: RESULT_VERSION, datasetHash, method, features, options });
+}
+
+export function getCachedEmbedding(key) {
+  return withStore('readonly', store => store.get(key)).catch(error => {
+    console.warn('Embedding cache read failed:', error);
+    return null;
+  });
+}
+
+export function putCachedEmbedding(key, result) {
+  return withStore('readwrite', store => store.put(result, key)).catch(error => {
+    console.warn('Embedding cache write failed:', error);
+  });
+}
+
+// Resolves to whether the cache could be cleared
+export function clearEmbeddingCache() {
+  return withStore('readwrite', store => store.clear())
+    .then(() => true)
+    .catch(error => {
+      console.warn('Embedding cache clear failed:', error);
+      return false;
+    });
+}
@@ -0,0 +1,139 @@
+import { isMissing } from './missingness';
+import { summaryFeatures, subgroupStats } from './summary';
+import { metricKind } from './statistics';
+import { writeArrowFile } from './arrowIPC';
+
+// Export of the rows behind a selection or cohort, or of the subgroup summary
+// statistics, as tables of columns { name, type, values } written as CSV,
+// JSON records or an Arrow IPC file (for large sets; pandas, polars and R read
+// it directly, and can turn it into Parquet).
+
+export const EXPORT_FORMATS = [
+  { id: 'csv', label: 'CSV', extension: 'csv', type: 'text/csv' },
+  { id: 'json', label: 'JSON', extension: 'json', type: 'application/json' },
+  { id: 'arrow', label: 'Arrow IPC', extension: 'arrow', type: 'application/vnd.apache.arrow.file' }
+];
+
+export const EXPORT_OPTIONS = [
+  { key: 'labels', label: 'Value labels', title: 'A "<column>_label" column with the category names of each coded column' },
+  { key: 'imputed', label: 'Imputed values', title: 'Missing values filled in as in the analysis, and an "imputed" column naming the filled-in columns' },
+  { key: 'projection', label: 'Projection coordinates', title: 'The plotted x and y of each row; rows left out of the projection are empty' },
+  { key: 'clusters', label: 'Cluster labels', title: 'The cluster each row was assigned to' },
+  { key: 'membership', label: 'Cohort membership', title: 'A true/false column per saved cohort' }
+];
+
+const valueOrNull = v => (isMissing(v) ? null : v);
+
+// name, or name_2, name_3… when a column is already called that (cohort
+// names need not be unique)
+function uniqueName(name, taken) {
+  let unique = name;
+  for (let k = 2; taken.has(unique); k++) unique = `${name}_${k}`;
+  taken.add(unique);
+  return unique;
+}
+
+function dataColumn(name, values) {
+  const type = values.every(v => v === null || typeof v === 'number') ? 'float64' : 'utf8';
+  return { name, type, values };
+}
+
+// Columns of the rows at indices. sources holds what the options draw on:
+// { data, headers, metadata, imputed (the analysis data), projection
+// ({ label, points: Map of index to { x, y } }), clusters (Map of index to
+// label), cohorts }
+export function exportColumns(indices, sources, options = {}) {
+  const { data, headers, metadata, imputed, projection, clusters, cohorts } = sources;
+  const rows = options.imputed ? imputed : data;
+  const columns = [{ name: 'row', type: 'int32', values: indices }];
+
+  headers.forEach(header => {
+    const values = indices.map(i => valueOrNull(rows[i][header]));
+    columns.push(dataColumn(header, values));
+    const labels = metadata[header]?.labels;
+    if (options.labels && labels) {
+      columns.push({ name: `${header}_label`, type: 'utf8', values: values.map(v => (v === null ? null : labels[v] ?? String(v))) });
+    }
+  });
+
+  if (options.imputed) {
+    columns.push({
+      name: 'imputed',
+      type: 'utf8',
+      values: indices.map(i => {
+        const filled = headers.filter(h => isMissing(data[i][h]) && !isMissing(imputed[i][h]));
+        return filled.length > 0 ? filled.join(',') : null;
+      })
+    });
+  }
+  if (options.projection && projection) {
+    ['x', 'y'].forEach(axis => columns.push({
+      name: `${projection.label}_${axis}`,
+      type: 'float64',
+      values: indices.map(i => projection.points.get(i)?.[axis] ?? null)
+    }));
+  }
+  if (options.clusters && clusters) {
+    columns.push({ name: 'cluster', type: 'utf8', values: indices.map(i => clusters.get(i) ?? null) });
+  }
+  if (options.membership) {
+    const taken = new Set(columns.map(c => c.name));
+    cohorts.forEach(cohort => {
+      const members = new Set(cohort.indices);
+      columns.push({ name: uniqueName(`in_${cohort.name}`, taken), type: 'bool', values: indices.map(i => members.has(i)) });
+    });
+  }
+  return columns;
+}
+
+// One row per group ({ name, indices }) of the subgroup summary statistics:
+// the size, then mean_<column> or pct_<column> for each summarised column
+export function summaryColumns(data, groups, metadata) {
+  const summaries = groups.map(group => subgroupStats(data, group.indices, metadata));
+  return [
+    { name: 'group', type: 'utf8', values: groups.map(g => g.name) },
+    { name: 'n', type: 'int32', values: summaries.map(s => s.n) },
+    ...summaryFeatures(metadata).map((feature, j) => ({
+      name: `${metricKind(metadata[feature]) === 'mean' ? 'mean' : 'pct'}_${feature}`,
+      type: 'float64',
+      values: summaries.map(s => s.stats[j].value)
+    }))
+  ];
+}
+
+function csvField(value) {
+  if (value === null) return '';
+  const text = String(value);
+  return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+function toCSV(columns) {
+  const rows = columns[0]?.values.length ?? 0;
+  const lines = [columns.map(c => csvField(c.name)).join(',')];
+  for (let r = 0; r < rows; r++) {
+    lines.push(columns.map(c => csvField(c.values[r])).join(','));
+  }
+  return `${lines.join('\n')}\n`;
+}
+
+// An array of records, one per line
+function toJSON(columns) {
+  const rows = columns[0]?.values.length ?? 0;
+  const records = [];
+  for (let r = 0; r < rows; r++) {
+    records.push(JSON.stringify(Object.fromEntries(columns.map(c => [c.name, c.values[r]]))));
+  }
+  return `[\n${records.join(',\n')}\n]\n`;
+}
+
+export function encodeColumns(columns, format) {
+  if (format === 'arrow') return writeArrowFile(columns);
+  return format === 'json' ? toJSON(columns) : toCSV(columns);
+}
+
+export function exportFileName(datasetName, what, format) {
+  const clean = text => text.replace(/[^\w-]+/g, '_').replace(/^_+|_+$/g, '');
+  const base = clean((datasetName ?? 'cohort').replace(/\.[^.]+$/, ''));
+  const extension = EXPORT_FORMATS.find(f => f.id === format).extension;
+  return `${base}-${clean(what) || 'export'}.${extension}`;
+}
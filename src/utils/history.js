@@ -0,0 +1,36 @@
+// Undo history of the selection and saved cohorts. Each entry is a snapshot
+// { selectedIndices, histogramFilters, query, cohorts } with a label naming
+// where it came from; index points at the entry currently shown.
+
+export const MAX_HISTORY = 50;
+
+export const EMPTY_HISTORY = { entries: [], index: -1 };
+
+function sameIndices(a, b) {
+  return a === b || (a.length === b.length && a.every((v, i) => v === b[i]));
+}
+
+// Whether two snapshots show the same state; a live query re-evaluating to the
+// same rows, or a restored entry, does not make a new entry
+export function sameSnapshot(a, b) {
+  return !!a && !!b &&
+    sameIndices(a.selectedIndices, b.selectedIndices) &&
+    JSON.stringify(a.histogramFilters) === JSON.stringify(b.histogramFilters) &&
+    a.query === b.query &&
+    a.cohorts === b.cohorts;
+}
+
+// Add an entry after the current one, dropping anything that could be redone.
+// With merge, an entry with the same label as the current one replaces it, so
+// a run of small edits (dragging a colour picker) is undone in one step.
+export function pushEntry(history, entry, merge = false) {
+  const current = history.entries[history.index];
+  const keep = merge && current?.label === entry.label ? history.index : history.index + 1;
+  const entries = [...history.entries.slice(0, keep), entry].slice(-MAX_HISTORY);
+  return { entries, index: entries.length - 1 };
+}
+
+export function moveTo(history, index) {
+  if (index < 0 || index >= history.entries.length) return history;
+  return { ...history, index };
+}
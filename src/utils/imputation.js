@@ -0,0 +1,165 @@
+import * as d3 from 'd3';
+import { isMissing } from './missingness';
+
+export const IMPUTATION_STRATEGIES = [
+  { id: 'complete-case', label: 'Complete cases only' },
+  { id: 'mean', label: 'Mean' },
+  { id: 'median', label: 'Median' },
+  { id: 'knn', label: 'k-nearest neighbours' },
+  { id: 'mice', label: 'Iterative regression (MICE)' }
+];
+
+const KNN_NEIGHBORS = 5;
+const MICE_ITERATIONS = 5;
+
+function columnStats(data, features) {
+  return features.map(f => {
+    const vals = data.map(d => d[f]).filter(v => !isMissing(v));
+    return {
+      mean: d3.mean(vals) ?? 0,
+      median: d3.median(vals) ?? 0,
+      std: d3.deviation(vals) || 1
+    };
+  });
+}
+
+// Average the k closest complete rows, measuring distance on the columns both
+// rows observe (standardized so no single unit dominates)
+function imputeKNN(matrix, mask, stats) {
+  const donors = matrix.filter((_, r) => !mask[r].includes(true));
+  if (donors.length === 0) return;
+
+  matrix.forEach((row, r) => {
+    if (!mask[r].includes(true)) return;
+    const observed = row.map((_, j) => j).filter(j => !mask[r][j]);
+    // keep the k best in a small sorted list rather than sorting every donor
+    const nearest = [];
+    donors.forEach(donor => {
+      let distance = 0;
+      observed.forEach(j => {
+        distance += ((row[j] - donor[j]) / stats[j].std) ** 2;
+      });
+      if (nearest.length === KNN_NEIGHBORS && distance >= nearest[KNN_NEIGHBORS - 1].distance) return;
+      const at = d3.bisector(n => n.distance).right(nearest, distance);
+      nearest.splice(at, 0, { donor, distance });
+      if (nearest.length > KNN_NEIGHBORS) nearest.pop();
+    });
+
+    mask[r].forEach((missing, j) => {
+      if (missing) row[j] = d3.mean(nearest, n => n.donor[j]);
+    });
+  });
+}
+
+// Solve (X'X + ridge) b = X'y by Gaussian elimination with partial pivoting
+function leastSquares(X, y) {
+  const p = X[0].length;
+  const A = Array.from({ length: p }, () => new Array(p + 1).fill(0));
+  X.forEach((x, r) => {
+    for (let i = 0; i < p; i++) {
+      for (let j = 0; j < p; j++) A[i][j] += x[i] * x[j];
+      A[i][p] += x[i] * y[r];
+    }
+  });
+  for (let i = 0; i < p; i++) A[i][i] += 1e-6;
+
+  for (let col = 0; col < p; col++) {
+    let pivot = col;
+    for (let r = col + 1; r < p; r++) {
+      if (Math.abs(A[r][col]) > Math.abs(A[pivot][col])) pivot = r;
+    }
+    [A[col], A[pivot]] = [A[pivot], A[col]];
+    for (let r = 0; r < p; r++) {
+      if (r === col || A[col][col] === 0) continue;
+      const factor = A[r][col] / A[col][col];
+      for (let c = col; c <= p; c++) A[r][c] -= factor * A[col][c];
+    }
+  }
+  return A.map((row, i) => (row[i] === 0 ? 0 : row[p] / row[i]));
+}
+
+// Chained equations: start from the means, then repeatedly regress each
+// incomplete column on all the others and replace its missing cells with the fit
+function imputeMICE(matrix, mask, stats) {
+  const m = stats.length;
+  matrix.forEach((row, r) => {
+    mask[r].forEach((missing, j) => {
+      if (missing) row[j] = stats[j].mean;
+    });
+  });
+
+  for (let iter = 0; iter < MICE_ITERATIONS; iter++) {
+    for (let j = 0; j < m; j++) {
+      const observedRows = [];
+      const missingRows = [];
+      matrix.forEach((_, r) => (mask[r][j] ? missingRows : observedRows).push(r));
+      if (missingRows.length === 0 || observedRows.length <= m) continue;
+
+      const design = r => [1, ...matrix[r].filter((_, k) => k !== j)];
+      const coef = leastSquares(observedRows.map(design), observedRows.map(r => matrix[r][j]));
+      missingRows.forEach(r => {
+        matrix[r][j] = d3.sum(design(r), (x, k) => x * coef[k]);
+      });
+    }
+  }
+}
+
+// Returns the rows kept by the strategy as a numeric matrix, the data indices
+// they came from, and a per-cell mask of which values were imputed
+export function imputeMatrix(data, features, strategy = 'median') {
+  const stats = columnStats(data, features);
+  const matrix = [];
+  const mask = [];
+  const validIndices = [];
+
+  data.forEach((d, i) => {
+    const row = [];
+    const missing = [];
+    features.forEach((f, j) => {
+      const v = d[f];
+      const isNA = isMissing(v);
+      missing.push(isNA);
+      row.push(isNA ? stats[j].median : v);
+    });
+
+    // Rows with nothing observed carry no information for any strategy
+    if (missing.length > 0 && missing.every(Boolean)) return;
+    if (strategy === 'complete-case' && missing.some(Boolean)) return;
+
+    matrix.push(row);
+    mask.push(missing);
+    validIndices.push(i);
+  });
+
+  if (strategy === 'mean') {
+    matrix.forEach((row, r) => mask[r].forEach((missing, j) => {
+      if (missing) row[j] = stats[j].mean;
+    }));
+  } else if (strategy === 'knn') {
+    imputeKNN(matrix, mask, stats);
+  } else if (strategy === 'mice') {
+    imputeMICE(matrix, mask, stats);
+  }
+
+  return { matrix, mask, validIndices };
+}
+
+// Copy of the dataset with imputed values written into the given features.
+// Complete-case analysis keeps only the rows in validIndices.
+export function imputeDataset(data, features, strategy) {
+  const { matrix, mask, validIndices } = imputeMatrix(data, features, strategy);
+  const imputed = data.slice();
+  const imputedIndices = [];
+
+  validIndices.forEach((i, r) => {
+    if (!mask[r].includes(true)) return;
+    const row = { ...data[i] };
+    features.forEach((f, j) => {
+      if (mask[r][j]) row[f] = matrix[r][j];
+    });
+    imputed[i] = row;
+    imputedIndices.push(i);
+  });
+
+  return { data: imputed, validIndices, imputedIndices };
+}
@@ -0,0 +1,63 @@
+export function isMissing(value) {
+  return value === null || value === undefined || Number.isNaN(value);
+}
+
+// Per-column missing counts plus the co-occurrence patterns (which columns are
+// missing together in a row), largest first. Complete rows form no pattern.
+export function computeMissingness(data, features) {
+  const columns = features.map(feature => ({ feature, indices: [] }));
+  const patternMap = new Map();
+  let completeRows = 0;
+
+  data.forEach((row, i) => {
+    const missing = [];
+    columns.forEach(col => {
+      if (isMissing(row[col.feature])) {
+        col.indices.push(i);
+        missing.push(col.feature);
+      }
+    });
+    if (missing.length === 0) {
+      completeRows++;
+      return;
+    }
+    const key = missing.join('|');
+    if (!patternMap.has(key)) {
+      patternMap.set(key, { features: missing, indices: [] });
+    }
+    patternMap.get(key).indices.push(i);
+  });
+
+  columns.forEach(col => {
+    col.count = col.indices.length;
+    col.pct = data.length > 0 ? (col.count / data.length) * 100 : 0;
+  });
+
+  const patterns = [...patternMap.values()]
+    .map(p => ({ ...p, count: p.indices.length }))
+    .sort((a, b) => b.count - a.count);
+
+  return { columns, patterns, completeRows };
+}
+
+// Outcome rate (% of rows with outcome === 1) among rows missing vs observing a feature
+export function outcomeRateByMissingness(data, feature, outcome) {
+  let missingN = 0;
+  let missingPos = 0;
+  let observedN = 0;
+  let observedPos = 0;
+  data.forEach(row => {
+    if (isMissing(row[outcome])) return;
+    if (isMissing(row[feature])) {
+      missingN++;
+      if (row[outcome] === 1) missingPos++;
+    } else {
+      observedN++;
+      if (row[outcome] === 1) observedPos++;
+    }
+  });
+  return {
+    missing: missingN > 0 ? (missingPos / missingN) * 100 : null,
+    observed: observedN > 0 ? (observedPos / observedN) * 100 : null
+  };
+}
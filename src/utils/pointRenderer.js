@@ -0,0 +1,94 @@
+import * as d3 from 'd3';
+
+// Canvas point rendering shared by the scatter views. Points are drawn in one
+// path per style instead of one SVG element each, and looked up through a
+// quadtree, so large cohorts stay responsive.
+
+// Size the canvas for the device pixel ratio and return a context in CSS pixels
+export function setupCanvas(canvas, width, height) {
+  const ratio = window.devicePixelRatio || 1;
+  canvas.width = Math.round(width * ratio);
+  canvas.height = Math.round(height * ratio);
+  canvas.style.width = `${width}px`;
+  canvas.style.height = `${height}px`;
+  const ctx = canvas.getContext('2d');
+  ctx.setTransform(ratio, 0, 0, ratio, 0, 0);
+  return ctx;
+}
+
+// points: [{ px, py, fill, opacity, radius, stroke }] in canvas pixels; later points
+// draw on top, so callers put highlighted points last. grow scales every radius.
+export function drawPoints(ctx, points, width, height, grow = 1) {
+  ctx.clearRect(0, 0, width, height);
+
+  // consecutive points with the same style share one path
+  let i = 0;
+  while (i < points.length) {
+    const { fill, opacity, stroke } = points[i];
+    const radius = points[i].radius * grow;
+    ctx.beginPath();
+    let j = i;
+    for (; j < points.length; j++) {
+      const p = points[j];
+      if (p.fill !== fill || p.opacity !== opacity || p.radius !== points[i].radius || p.stroke !== stroke) break;
+      if (p.px < -radius || p.px > width + radius || p.py < -radius || p.py > height + radius) continue;
+      ctx.moveTo(p.px + radius, p.py);
+      ctx.arc(p.px, p.py, radius, 0, 2 * Math.PI);
+    }
+    ctx.globalAlpha = opacity;
+    ctx.fillStyle = fill;
+    ctx.fill();
+    if (stroke) {
+      ctx.strokeStyle = stroke;
+      ctx.lineWidth = 1;
+      ctx.stroke();
+    }
+    i = j;
+  }
+  ctx.globalAlpha = 1;
+}
+
+// Group points by style so drawPoints can batch them; the order of groups
+// follows the given ranking (higher draws later)
+export function sortByStyle(points, rank = () => 0) {
+  const key = p => `${p.fill}|${p.opacity}|${p.radius}|${p.stroke}`;
+  return d3.sort(points, p => rank(p), key);
+}
+
+// Quadtree over the unzoomed pixel positions ({ bx, by }) of the points
+export function buildPointIndex(points) {
+  return d3.quadtree()
+    .x(p => p.bx)
+    .y(p => p.by)
+    .addAll(points);
+}
+
+// Points inside a polygon given in the same (unzoomed) pixel space
+export function pointsInPolygon(index, polygon) {
+  const [[x0, y0], [x1, y1]] = [
+    [d3.min(polygon, v => v[0]), d3.min(polygon, v => v[1])],
+    [d3.max(polygon, v => v[0]), d3.max(polygon, v => v[1])]
+  ];
+  const found = [];
+  index.visit((node, nx0, ny0, nx1, ny1) => {
+    if (!node.length) {
+      let leaf = node;
+      do {
+        const p = leaf.data;
+        if (p.bx >= x0 && p.bx <= x1 && p.by >= y0 && p.by <= y1 && d3.polygonContains(polygon, [p.bx, p.by])) {
+          found.push(p);
+        }
+        leaf = leaf.next;
+      } while (leaf);
+    }
+    // skip quadrants outside the polygon's bounding box
+    return nx0 > x1 || ny0 > y1 || nx1 < x0 || ny1 < y0;
+  });
+  return found;
+}
+
+// The point nearest a screen position under a zoom transform, within radius screen pixels
+export function findPoint(index, transform, [px, py], radius) {
+  const [bx, by] = transform.invert([px, py]);
+  return index.find(bx, by, radius / transform.k) ?? null;
+}
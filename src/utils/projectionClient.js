@@ -0,0 +1,102 @@
+// Main-thread side of workers/projection.worker.js. Only one projection runs
+// at a time: starting a new one cancels whatever is still in flight.
+let worker = null;
+let rejectPending = null;
+
+// A finished UMAP run's worker stays alive to transform new records into its
+// layout, until the next run or cancellation replaces it
+let fitted = null;
+const pendingTransforms = new Map();
+let transformId = 0;
+
+function abortError(method) {
+  const error = new Error(`${method} computation cancelled`);
+  error.name = 'AbortError';
+  return error;
+}
+
+export function cancelProjection() {
+  if (worker) {
+    worker.terminate();
+    worker = null;
+  }
+  if (rejectPending) {
+    rejectPending();
+    rejectPending = null;
+  }
+  if (fitted) {
+    fitted.terminate();
+    fitted = null;
+  }
+  pendingTransforms.forEach(({ reject }) => reject(abortError('UMAP transform')));
+  pendingTransforms.clear();
+}
+
+function keepFitted(current) {
+  fitted = current;
+  current.onmessage = (event) => {
+    const { type, id, embedding, message } = event.data;
+    const pending = pendingTransforms.get(id);
+    if (!pending) return;
+    pendingTransforms.delete(id);
+    if (type === 'transformed') pending.resolve(embedding);
+    else pending.reject(new Error(message));
+  };
+  current.onerror = (event) => {
+    pendingTransforms.forEach(({ reject }) => reject(new Error(event.message || 'UMAP worker failed')));
+    pendingTransforms.clear();
+  };
+}
+
+// Places encoded rows (see encodeRecord) in the last UMAP layout; resolves to
+// null when no fitted UMAP is available (e.g. the layout came from the cache)
+export function transformPoints(rows) {
+  if (!fitted) return Promise.resolve(null);
+  const id = ++transformId;
+  return new Promise((resolve, reject) => {
+    pendingTransforms.set(id, { resolve, reject });
+    fitted.postMessage({ type: 'transform', id, rows });
+  });
+}
+
+export function runProjection(method, data, features, options = {}, { onProgress, onFrame } = {}) {
+  cancelProjection();
+
+  const current = new Worker(new URL('../workers/projection.worker.js', import.meta.url), {
+    type: 'module'
+  });
+  worker = current;
+
+  return new Promise((resolve, reject) => {
+    const finish = (keep = false) => {
+      rejectPending = null;
+      if (worker === current) worker = null;
+      if (keep) keepFitted(current);
+      else current.terminate();
+    };
+
+    rejectPending = () => reject(abortError(method));
+
+    current.onmessage = (event) => {
+      const message = event.data;
+      if (message.type === 'progress') {
+        onProgress?.(message.epoch, message.nEpochs);
+      } else if (message.type === 'frame') {
+        onFrame?.(message.projection, message.validIndices);
+      } else if (message.type === 'done') {
+        finish(method === 'UMAP');
+        resolve(message.result);
+      } else if (message.type === 'error') {
+        finish();
+        reject(new Error(message.message));
+      }
+    };
+
+    current.onerror = (event) => {
+      finish();
+      reject(new Error(event.message || `${method} worker failed`));
+    };
+
+    current.postMessage({ method, data, features, options, streamFrames: !!onFrame });
+  });
+}
@@ -0,0 +1,278 @@
+import { isMissing } from './missingness';
+
+// A small expression language for inclusion/exclusion criteria:
+//
+//   age >= 50 AND sysBP > 140 AND diabetes = 1
+//   NOT (education IN (1, 2)) OR BMI IS MISSING
+//
+// Columns are metadata keys (backquote names with spaces: `blood pressure`),
+// values are numbers, quoted strings or the value labels of the dictionary.
+// A comparison with a missing value is false; use IS [NOT] MISSING for those.
+
+export const QUERY_OPERATORS = ['=', '!=', '<', '<=', '>', '>='];
+
+const KEYWORDS = ['AND', 'OR', 'NOT', 'IN', 'IS', 'MISSING'];
+const SYMBOLS = ['<=', '>=', '!=', '<>', '==', '=', '<', '>', '(', ')', ','];
+const PLAIN_NAME = /^[A-Za-z_][\w.]*$/;
+
+// Errors carry the character position they refer to, for the editor to point at
+function queryError(message, position) {
+  const error = new Error(message);
+  error.position = position;
+  return error;
+}
+
+function tokenize(text) {
+  const tokens = [];
+  let i = 0;
+  while (i < text.length) {
+    const c = text[i];
+    if (/\s/.test(c)) {
+      i++;
+      continue;
+    }
+    const start = i;
+    if (c === '"' || c === "'" || c === '`') {
+      const end = text.indexOf(c, i + 1);
+      if (end < 0) throw queryError(`Unclosed ${c} starting at position ${start + 1}`, start);
+      tokens.push({ type: c === '`' ? 'name' : 'string', value: text.slice(i + 1, end), position: start });
+      i = end + 1;
+      continue;
+    }
+    const number = /^-?(\d+\.?\d*|\.\d+)([eE][-+]?\d+)?/.exec(text.slice(i));
+    if (number) {
+      tokens.push({ type: 'number', value: Number(number[0]), position: start });
+      i += number[0].length;
+      continue;
+    }
+    const word = /^[A-Za-z_][\w.]*/.exec(text.slice(i));
+    if (word) {
+      const upper = word[0].toUpperCase();
+      tokens.push(KEYWORDS.includes(upper)
+        ? { type: 'keyword', value: upper, position: start }
+        : { type: 'name', value: word[0], position: start });
+      i += word[0].length;
+      continue;
+    }
+    const symbol = SYMBOLS.find(s => text.startsWith(s, i));
+    if (!symbol) throw queryError(`Unexpected character "${c}" at position ${start + 1}`, start);
+    tokens.push({ type: 'symbol', value: symbol, position: start });
+    i += symbol.length;
+  }
+  tokens.push({ type: 'end', position: text.length });
+  return tokens;
+}
+
+function describeToken(token) {
+  return token.type === 'end' ? 'the end of the query' : `"${token.value}"`;
+}
+
+// Closest column name, for "did you mean" hints
+function suggestColumn(name, metadata) {
+  const lower = name.toLowerCase();
+  const columns = Object.keys(metadata);
+  return columns.find(c => c.toLowerCase() === lower) ??
+    columns.find(c => metadata[c].label.toLowerCase() === lower) ??
+    columns.find(c => c.toLowerCase().startsWith(lower) || lower.startsWith(c.toLowerCase())) ??
+    null;
+}
+
+// Map a literal onto the column's coding: value labels become their codes
+function resolveValue(token, column, meta) {
+  if (token.type === 'number') {
+    if (meta.type === 'categorical' && meta.domain && !meta.domain.some(v => typeof v === 'number')) {
+      throw queryError(`${column} holds text values; quote ${token.value} or use one of: ${meta.domain.join(', ')}`, token.position);
+    }
+    return token.value;
+  }
+  if (token.type !== 'string' && token.type !== 'name') {
+    throw queryError(`Expected a value for ${column} at position ${token.position + 1}, found ${describeToken(token)}`, token.position);
+  }
+  const text = token.value;
+  const labels = Object.entries(meta.labels ?? {});
+  const labelled = labels.find(([, label]) => String(label).toLowerCase() === text.toLowerCase());
+  if (labelled) {
+    const code = Number(labelled[0]);
+    return Number.isNaN(code) ? labelled[0] : code;
+  }
+  if (meta.domain?.some(v => v === text)) return text;
+  if (meta.type === 'numeric' || meta.type === 'binary' || meta.type === 'ordinal') {
+    const hint = labels.length > 0 ? ` or one of: ${labels.map(([, label]) => label).join(', ')}` : '';
+    throw queryError(`${column} is a ${meta.type} column; expected a number${hint} at position ${token.position + 1}`, token.position);
+  }
+  if (meta.type === 'categorical' && meta.domain) {
+    throw queryError(`"${text}" is not a value of ${column}; expected one of: ${meta.domain.join(', ')}`, token.position);
+  }
+  return text;
+}
+
+// Parse a query into an expression tree, checked against the columns in metadata
+export function parseQuery(text, metadata) {
+  const tokens = tokenize(text);
+  let pos = 0;
+  const peek = () => tokens[pos];
+  const next = () => tokens[pos++];
+  const isKeyword = (value) => peek().type === 'keyword' && peek().value === value;
+  const isSymbol = (value) => peek().type === 'symbol' && peek().value === value;
+  const expectSymbol = (value) => {
+    if (!isSymbol(value)) {
+      throw queryError(`Expected "${value}" at position ${peek().position + 1}, found ${describeToken(peek())}`, peek().position);
+    }
+    next();
+  };
+
+  const parseColumn = () => {
+    const token = next();
+    if (token.type !== 'name') {
+      throw queryError(`Expected a column name at position ${token.position + 1}, found ${describeToken(token)}`, token.position);
+    }
+    if (!metadata[token.value]) {
+      const suggestion = suggestColumn(token.value, metadata);
+      throw queryError(
+        `Unknown column "${token.value}"${suggestion ? `; did you mean ${suggestion}?` : ''}`,
+        token.position
+      );
+    }
+    return token.value;
+  };
+
+  const parseCriterion = () => {
+    const column = parseColumn();
+    const meta = metadata[column];
+
+    if (isKeyword('IS')) {
+      next();
+      const negated = isKeyword('NOT');
+      if (negated) next();
+      if (!isKeyword('MISSING')) {
+        throw queryError(`Expected MISSING after IS at position ${peek().position + 1}`, peek().position);
+      }
+      next();
+      return { type: 'missing', column, negated };
+    }
+
+    const negated = isKeyword('NOT');
+    if (negated || isKeyword('IN')) {
+      if (negated) next();
+      if (!isKeyword('IN')) {
+        throw queryError(`Expected IN at position ${peek().position + 1}, found ${describeToken(peek())}`, peek().position);
+      }
+      next();
+      expectSymbol('(');
+      const values = [resolveValue(next(), column, meta)];
+      while (isSymbol(',')) {
+        next();
+        values.push(resolveValue(next(), column, meta));
+      }
+      expectSymbol(')');
+      return { type: 'in', column, values, negated };
+    }
+
+    const opToken = next();
+    if (opToken.type !== 'symbol' || ['(', ')', ','].includes(opToken.value)) {
+      throw queryError(
+        `Expected a comparison after ${column} at position ${opToken.position + 1} (=, !=, <, <=, >, >=, IN or IS MISSING)`,
+        opToken.position
+      );
+    }
+    const op = { '==': '=', '<>': '!=' }[opToken.value] ?? opToken.value;
+    const value = resolveValue(next(), column, meta);
+    if (op !== '=' && op !== '!=' && typeof value !== 'number') {
+      throw queryError(`${op} needs a number, but ${column} = "${value}" is a category`, opToken.position);
+    }
+    return { type: 'compare', column, op, value };
+  };
+
+  const parsePrimary = () => {
+    if (isKeyword('NOT')) {
+      next();
+      return { type: 'not', operand: parsePrimary() };
+    }
+    if (isSymbol('(')) {
+      next();
+      const inner = parseOr();
+      expectSymbol(')');
+      return inner;
+    }
+    return parseCriterion();
+  };
+
+  const parseAnd = () => {
+    let node = parsePrimary();
+    while (isKeyword('AND')) {
+      next();
+      node = { type: 'and', left: node, right: parsePrimary() };
+    }
+    return node;
+  };
+
+  function parseOr() {
+    let node = parseAnd();
+    while (isKeyword('OR')) {
+      next();
+      node = { type: 'or', left: node, right: parseAnd() };
+    }
+    return node;
+  }
+
+  if (peek().type === 'end') throw queryError('The query is empty', 0);
+  const tree = parseOr();
+  if (peek().type !== 'end') {
+    throw queryError(`Unexpected ${describeToken(peek())} at position ${peek().position + 1}; join criteria with AND or OR`, peek().position);
+  }
+  return tree;
+}
+
+function matches(node, row) {
+  switch (node.type) {
+    case 'and': return matches(node.left, row) && matches(node.right, row);
+    case 'or': return matches(node.left, row) || matches(node.right, row);
+    case 'not': return !matches(node.operand, row);
+    case 'missing': return isMissing(row[node.column]) !== node.negated;
+    case 'in': {
+      const value = row[node.column];
+      return !isMissing(value) && node.values.includes(value) !== node.negated;
+    }
+    case 'compare': {
+      const value = row[node.column];
+      if (isMissing(value)) return false;
+      switch (node.op) {
+        case '=': return value === node.value;
+        case '!=': return value !== node.value;
+        case '<': return value < node.value;
+        case '<=': return value <= node.value;
+        case '>': return value > node.value;
+        case '>=': return value >= node.value;
+        default: return false;
+      }
+    }
+    default: return false;
+  }
+}
+
+// Indices of the rows the query selects
+export function evaluateQuery(tree, data) {
+  const indices = [];
+  data.forEach((row, i) => {
+    if (matches(tree, row)) indices.push(i);
+  });
+  return indices;
+}
+
+// Parse and evaluate in one go; returns { indices } or { error }
+export function runQuery(text, data, metadata) {
+  try {
+    return { indices: evaluateQuery(parseQuery(text, metadata), data) };
+  } catch (error) {
+    return { error };
+  }
+}
+
+// Text for one criterion of the form builder
+export function formatCriterion(column, op, value) {
+  const name = PLAIN_NAME.test(column) && !KEYWORDS.includes(column.toUpperCase()) ? column : `\`${column}\``;
+  if (op === 'missing') return `${name} IS MISSING`;
+  if (op === 'not missing') return `${name} IS NOT MISSING`;
+  const literal = typeof value === 'number' ? String(value) : `"${String(value).replace(/"/g, "'")}"`;
+  return `${name} ${op} ${literal}`;
+}
@@ -0,0 +1,104 @@
+import * as d3 from 'd3';
+import { isMissing } from './missingness';
+
+// Inputs the risk calculator takes: numeric and binary columns other than the outcome
+export function calculatorFeatures(metadata) {
+  const inputs = Object.keys(metadata).filter(f => !metadata[f].outcome);
+  return {
+    continuousFeatures: inputs.filter(f => metadata[f].type === 'numeric'),
+    binaryFeatures: inputs.filter(f => metadata[f].type === 'binary')
+  };
+}
+
+// Dictionary defaults where given, otherwise the cohort median / first category
+export function defaultInputs(data, metadata) {
+  const { continuousFeatures, binaryFeatures } = calculatorFeatures(metadata);
+  const inputs = {};
+  continuousFeatures.forEach(f => {
+    const fallback = d3.median(data, d => d[f]);
+    inputs[f] = String(metadata[f].default ?? fallback ?? 0);
+  });
+  binaryFeatures.forEach(f => {
+    inputs[f] = String(metadata[f].default ?? metadata[f].domain[0]);
+  });
+  return inputs;
+}
+
+// A participant's values as calculator inputs; missing values keep the defaults
+export function recordInputs(record, data, metadata) {
+  const inputs = defaultInputs(data, metadata);
+  Object.keys(inputs).forEach(f => {
+    if (!isMissing(record[f])) inputs[f] = String(record[f]);
+  });
+  return inputs;
+}
+
+// Percentile of a value within ascending values; ties count half
+export function percentileOf(sorted, value) {
+  if (sorted.length === 0 || isMissing(value)) return null;
+  const below = d3.bisectLeft(sorted, value);
+  const atOrBelow = d3.bisectRight(sorted, value);
+  return ((below + (atOrBelow - below) / 2) / sorted.length) * 100;
+}
+
+// The k rows closest to row r of a standardized matrix, as [{ row, distance }]
+export function nearestRows(matrix, r, k) {
+  const target = matrix[r];
+  const distances = matrix.map((row, i) => {
+    let sum = 0;
+    for (let j = 0; j < row.length; j++) sum += (row[j] - target[j]) ** 2;
+    return { row: i, distance: Math.sqrt(sum) };
+  });
+  return d3.sort(distances.filter(d => d.row !== r), d => d.distance).slice(0, k);
+}
+
+// How many look-alikes the risk calculator bases its estimate on
+export const SIMILAR_INDIVIDUALS = 50;
+
+// The calculator's inputs as a record with numeric values, for encodeRecord
+export function inputsRecord(inputs) {
+  const record = {};
+  Object.entries(inputs).forEach(([f, value]) => {
+    const number = parseFloat(value);
+    record[f] = Number.isNaN(number) ? null : number;
+  });
+  return record;
+}
+
+// Indices of the participants most similar to the calculator's inputs, closest
+// first: range-scaled numeric features plus one per differing binary feature
+export function similarIndividuals(data, metadata, inputs, k = SIMILAR_INDIVIDUALS) {
+  const { continuousFeatures, binaryFeatures } = calculatorFeatures(metadata);
+  const ranges = {};
+  continuousFeatures.forEach(feature => {
+    const [min, max] = d3.extent(data, d => (isMissing(d[feature]) ? undefined : d[feature]));
+    ranges[feature] = { min, max };
+  });
+
+  const distances = data.map((person, index) => {
+    let distanceSum = 0;
+
+    continuousFeatures.forEach(feature => {
+      const userVal = parseFloat(inputs[feature]);
+      const personVal = person[feature] || 0;
+      const range = ranges[feature];
+
+      const normalized = (userVal - range.min) / (range.max - range.min);
+      const personNormalized = (personVal - range.min) / (range.max - range.min);
+      distanceSum += Math.pow(normalized - personNormalized, 2);
+    });
+
+    binaryFeatures.forEach(feature => {
+      const userVal = parseFloat(inputs[feature]);
+      const personVal = person[feature] || 0;
+      if (userVal !== personVal) {
+        distanceSum += 1;
+      }
+    });
+
+    return { index, distance: Math.sqrt(distanceSum) };
+  });
+
+  distances.sort((a, b) => a.distance - b.distance);
+  return distances.slice(0, k).map(d => d.index);
+}
@@ -0,0 +1,105 @@
+// Analysis sessions saved as JSON files for a lab notebook: the dataset's
+// identity, the view settings, the selection, named cohorts (as indices and,
+// where they came from a query, as criteria), calculator inputs and notes.
+//
+// Files carry a version. When the format changes, bump SESSION_VERSION and add
+// MIGRATIONS[v], turning a version v session into version v + 1, so older
+// files still open.
+
+export const SESSION_FORMAT = 'cohort-dashboard-session';
+export const SESSION_VERSION = 1;
+
+const MIGRATIONS = {};
+
+export function isSessionFile(json) {
+  return !!json && typeof json === 'object' && json.format === SESSION_FORMAT;
+}
+
+export function createSession({ dataset, view, selection, cohorts, calculator, notes }) {
+  return {
+    format: SESSION_FORMAT,
+    version: SESSION_VERSION,
+    savedAt: new Date().toISOString(),
+    dataset,
+    view,
+    selection,
+    cohorts: cohorts.map(({ name, description, color, visible, indices, query }) => ({
+      name, description, color, visible, indices, query: query ?? null
+    })),
+    calculator,
+    notes
+  };
+}
+
+const isIndexList = v => Array.isArray(v) && v.every(i => Number.isInteger(i) && i >= 0);
+
+// Parse, migrate and check a session file; errors say what is wrong with it
+export function readSession(text) {
+  let session;
+  try {
+    session = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Not a JSON file: ${error.message}`);
+  }
+  if (!isSessionFile(session)) throw new Error('Not a session file');
+  if (!Number.isInteger(session.version) || session.version < 1) {
+    throw new Error(`Unknown session version: ${session.version}`);
+  }
+  if (session.version > SESSION_VERSION) {
+    throw new Error(`The session was saved by a newer version of the dashboard (format ${session.version})`);
+  }
+  while (session.version < SESSION_VERSION) {
+    const migrate = MIGRATIONS[session.version];
+    if (!migrate) throw new Error(`Sessions of format ${session.version} can no longer be opened`);
+    session = migrate(session);
+  }
+
+  if (!session.dataset?.hash || !Number.isInteger(session.dataset.rows)) {
+    throw new Error('The session does not identify its dataset');
+  }
+  if (!isIndexList(session.selection?.indices)) throw new Error('Invalid selection');
+  if (!Array.isArray(session.cohorts) || session.cohorts.some(c => !c.name || !isIndexList(c.indices))) {
+    throw new Error('Invalid cohorts');
+  }
+  return session;
+}
+
+// A session as the view shape shared with links (see parseViewState)
+export function sessionView(session) {
+  const { view = {}, selection, calculator = {} } = session;
+  return {
+    dataset: session.dataset.id,
+    hash: session.dataset.hash,
+    method: view.method,
+    colorFeature: view.colorFeature,
+    features: view.features,
+    weights: view.weights,
+    imputation: view.imputation,
+    highlightImputed: view.highlightImputed,
+    umap: view.umap,
+    tsne: view.tsne,
+    components: view.components,
+    showBiplot: view.showBiplot,
+    scatterX: view.scatterAxes?.x,
+    scatterY: view.scatterAxes?.y,
+    selection: selection.indices,
+    filters: selection.filters,
+    query: selection.query,
+    cohorts: session.cohorts,
+    inputs: calculator.inputs,
+    showIndividual: calculator.showIndividual,
+    notes: session.notes
+  };
+}
+
+// Indented for reading, with index lists kept on one line
+export function serializeSession(session) {
+  return JSON.stringify(session, null, 2)
+    .replace(/\[\s+([\d,\s]+?)\s+\]/g, (match, inner) => `[${inner.split(/,\s*/).join(',')}]`);
+}
+
+export function sessionFileName(datasetName, date = new Date()) {
+  const stamp = date.toISOString().slice(0, 16).replace(/[T:]/g, '-');
+  const base = (datasetName ?? 'cohort').replace(/\.[^.]+$/, '').replace(/[^\w-]+/g, '_');
+  return `${base}-session-${stamp}.json`;
+}
@@ -0,0 +1,267 @@
+import * as d3 from 'd3';
+import { isMissing } from './missingness';
+
+// Significance tests, confidence intervals and effect sizes for comparing two
+// groups of rows on one metric: the mean of a numeric or ordinal feature, or
+// the share of a binary feature's positive level.
+
+export const CONTINUOUS_TESTS = [
+  { id: 'welch', label: 'Welch t-test' },
+  { id: 'mannWhitney', label: 'Mann–Whitney U' }
+];
+
+export const CORRECTIONS = [
+  { id: 'none', label: 'None' },
+  { id: 'bonferroni', label: 'Bonferroni' },
+  { id: 'holm', label: 'Holm' },
+  { id: 'bh', label: 'Benjamini–Hochberg' }
+];
+
+const Z_95 = 1.959963984540054;
+// Fisher's exact test replaces chi-square when an expected count is this small
+const MIN_EXPECTED = 5;
+
+const LANCZOS = [
+  676.5203681218851, -1259.1392167224028, 771.32342877765313, -176.61502916214059,
+  12.507343278686905, -0.13857109526572012, 9.9843695780195716e-6, 1.5056327351493116e-7
+];
+
+function logGamma(x) {
+  if (x < 0.5) return Math.log(Math.PI / Math.sin(Math.PI * x)) - logGamma(1 - x);
+  const z = x - 1;
+  const t = z + 7.5;
+  const sum = LANCZOS.reduce((s, c, i) => s + c / (z + i + 1), 0.99999999999980993);
+  return 0.5 * Math.log(2 * Math.PI) + (z + 0.5) * Math.log(t) - t + Math.log(sum);
+}
+
+// Continued fraction for the incomplete beta function (Lentz's method)
+function betaFraction(x, a, b) {
+  const tiny = 1e-300;
+  const clamp = v => (Math.abs(v) < tiny ? tiny : v);
+  let c = 1;
+  let d = 1 / clamp(1 - ((a + b) * x) / (a + 1));
+  let h = d;
+  for (let m = 1; m <= 300; m++) {
+    const even = (m * (b - m) * x) / ((a + 2 * m - 1) * (a + 2 * m));
+    d = 1 / clamp(1 + even * d);
+    c = clamp(1 + even / c);
+    h *= d * c;
+    const odd = (-(a + m) * (a + b + m) * x) / ((a + 2 * m) * (a + 2 * m + 1));
+    d = 1 / clamp(1 + odd * d);
+    c = clamp(1 + odd / c);
+    h *= d * c;
+    if (Math.abs(d * c - 1) < 1e-14) break;
+  }
+  return h;
+}
+
+function regularizedBeta(x, a, b) {
+  if (x <= 0) return 0;
+  if (x >= 1) return 1;
+  const front = Math.exp(logGamma(a + b) - logGamma(a) - logGamma(b) + a * Math.log(x) + b * Math.log(1 - x));
+  return x < (a + 1) / (a + b + 2)
+    ? (front * betaFraction(x, a, b)) / a
+    : 1 - (front * betaFraction(1 - x, b, a)) / b;
+}
+
+// P(|T| >= |t|) for Student's t with df degrees of freedom
+function studentTwoSided(t, df) {
+  return regularizedBeta(df / (df + t * t), df / 2, 0.5);
+}
+
+// The t value with P(|T| <= t) = level, by bisection
+function studentQuantile(level, df) {
+  let lo = 0;
+  let hi = 1000;
+  for (let i = 0; i < 100; i++) {
+    const mid = (lo + hi) / 2;
+    if (1 - studentTwoSided(mid, df) < level) lo = mid;
+    else hi = mid;
+  }
+  return (lo + hi) / 2;
+}
+
+// Abramowitz and Stegun 7.1.26; good to about 1e-7, plenty for p-values
+function erfc(x) {
+  const t = 1 / (1 + 0.3275911 * Math.abs(x));
+  const poly = t * (0.254829592 + t * (-0.284496736 + t * (1.421413741 + t * (-1.453152027 + t * 1.061405429))));
+  const value = poly * Math.exp(-x * x);
+  return x >= 0 ? value : 2 - value;
+}
+
+const normalTwoSided = z => Math.min(1, erfc(Math.abs(z) / Math.SQRT2));
+
+function welchTest(a, b) {
+  const [na, nb] = [a.length, b.length];
+  if (na < 2 || nb < 2) return null;
+  const [va, vb] = [d3.variance(a) / na, d3.variance(b) / nb];
+  const diff = d3.mean(a) - d3.mean(b);
+  if (va + vb === 0) return { test: 'Welch t', statistic: null, p: diff === 0 ? 1 : 0 };
+  const t = diff / Math.sqrt(va + vb);
+  const df = (va + vb) ** 2 / (va ** 2 / (na - 1) + vb ** 2 / (nb - 1));
+  return { test: 'Welch t', statistic: t, p: studentTwoSided(t, df) };
+}
+
+// Normal approximation with tie and continuity corrections
+function mannWhitneyTest(a, b) {
+  const [na, nb] = [a.length, b.length];
+  if (na === 0 || nb === 0) return null;
+  const all = [...a.map(v => [v, 0]), ...b.map(v => [v, 1])].sort((p, q) => p[0] - q[0]);
+  const n = all.length;
+  let rankSumA = 0;
+  let ties = 0;
+  for (let i = 0; i < n;) {
+    let j = i;
+    while (j + 1 < n && all[j + 1][0] === all[i][0]) j++;
+    const rank = (i + j) / 2 + 1;
+    for (let k = i; k <= j; k++) {
+      if (all[k][1] === 0) rankSumA += rank;
+    }
+    const count = j - i + 1;
+    ties += count ** 3 - count;
+    i = j + 1;
+  }
+  const u = rankSumA - (na * (na + 1)) / 2;
+  const sd = Math.sqrt(((na * nb) / 12) * (n + 1 - ties / (n * (n - 1))));
+  if (!(sd > 0)) return { test: 'Mann–Whitney U', statistic: u, p: 1 };
+  const shift = u - (na * nb) / 2;
+  const z = (shift - Math.sign(shift) * 0.5) / sd;
+  return { test: 'Mann–Whitney U', statistic: u, p: normalTwoSided(z) };
+}
+
+// Probability of each table with the observed margins, on the log scale
+function logHypergeometric(x, n1, positives, total) {
+  const logChoose = (n, k) => logGamma(n + 1) - logGamma(k + 1) - logGamma(n - k + 1);
+  return logChoose(positives, x) + logChoose(total - positives, n1 - x) - logChoose(total, n1);
+}
+
+function fisherExactTest(k1, n1, k2, n2) {
+  const positives = k1 + k2;
+  const total = n1 + n2;
+  const observed = logHypergeometric(k1, n1, positives, total);
+  let p = 0;
+  for (let x = Math.max(0, positives - n2); x <= Math.min(n1, positives); x++) {
+    const logP = logHypergeometric(x, n1, positives, total);
+    // tables no more likely than the one observed, allowing for rounding
+    if (logP <= observed + 1e-7) p += Math.exp(logP);
+  }
+  return { test: 'Fisher exact', statistic: null, p: Math.min(1, p) };
+}
+
+// Pearson's chi-square on the 2×2 table, or Fisher's exact test when an
+// expected count is too small for the chi-square approximation
+function proportionTest(k1, n1, k2, n2) {
+  if (n1 === 0 || n2 === 0) return null;
+  const total = n1 + n2;
+  const positives = k1 + k2;
+  const cells = [[k1, n1], [n1 - k1, n1], [k2, n2], [n2 - k2, n2]];
+  const expected = cells.map(([, n], i) => (n * (i % 2 === 0 ? positives : total - positives)) / total);
+  if (expected.some(e => e < MIN_EXPECTED)) return fisherExactTest(k1, n1, k2, n2);
+  const chi2 = cells.reduce((sum, [o], i) => sum + (o - expected[i]) ** 2 / expected[i], 0);
+  return { test: 'Chi-square', statistic: chi2, p: normalTwoSided(Math.sqrt(chi2)) };
+}
+
+// How a feature is summarised: 'mean' for numbers, 'proportion' of the second
+// level for two-level features, null for features with no single summary
+export function metricKind(meta) {
+  if (!meta) return null;
+  if (meta.type === 'numeric' || meta.type === 'ordinal') return 'mean';
+  if (meta.type === 'binary' || (meta.type === 'categorical' && meta.domain?.length === 2)) return 'proportion';
+  return null;
+}
+
+export function positiveLevel(meta) {
+  return meta.type === 'binary' ? 1 : meta.domain[1];
+}
+
+// The feature's label, and for proportions the level that is counted
+export function metricLabel(meta) {
+  if (metricKind(meta) === 'mean') return meta.label;
+  const level = positiveLevel(meta);
+  return `${meta.label}: ${meta.labels?.[level] ?? level}`;
+}
+
+// The metric's values over the rows at indices, missing values left out:
+// the feature's values, or 1/0 for whether each row has the positive level
+export function metricValues(data, indices, feature, meta) {
+  const values = indices.map(i => data[i][feature]).filter(v => !isMissing(v));
+  if (metricKind(meta) === 'mean') return values;
+  const level = positiveLevel(meta);
+  return values.map(v => (v === level ? 1 : 0));
+}
+
+// Mean or percentage with its 95% confidence interval: Student's t for means,
+// Wilson's score interval for proportions
+export function estimate(values, kind) {
+  const n = values.length;
+  if (n === 0) return null;
+  const mean = d3.mean(values);
+  if (kind === 'proportion') {
+    const centre = (mean + (Z_95 * Z_95) / (2 * n)) / (1 + (Z_95 * Z_95) / n);
+    const half = (Z_95 * Math.sqrt((mean * (1 - mean)) / n + (Z_95 * Z_95) / (4 * n * n))) / (1 + (Z_95 * Z_95) / n);
+    return { n, value: mean * 100, ci: [(centre - half) * 100, (centre + half) * 100] };
+  }
+  if (n < 2) return { n, value: mean, ci: null };
+  const half = (studentQuantile(0.95, n - 1) * d3.deviation(values)) / Math.sqrt(n);
+  return { n, value: mean, ci: [mean - half, mean + half] };
+}
+
+// Standardized mean difference: the difference over the average of the two
+// variances' square root, as used to judge balance between cohorts
+function standardizedDifference(a, b, kind) {
+  const [ma, mb] = [d3.mean(a), d3.mean(b)];
+  const [va, vb] = kind === 'proportion'
+    ? [ma * (1 - ma), mb * (1 - mb)]
+    : [d3.variance(a) ?? 0, d3.variance(b) ?? 0];
+  const spread = Math.sqrt((va + vb) / 2);
+  if (spread === 0) return ma === mb ? 0 : null;
+  return (ma - mb) / spread;
+}
+
+// Test of group a against group b on one metric; continuousTest is one of
+// CONTINUOUS_TESTS. null when either group has too few values.
+export function compareValues(a, b, kind, continuousTest = 'welch') {
+  let result;
+  if (kind === 'proportion') {
+    result = proportionTest(d3.sum(a), a.length, d3.sum(b), b.length);
+  } else {
+    result = continuousTest === 'mannWhitney' ? mannWhitneyTest(a, b) : welchTest(a, b);
+  }
+  if (!result) return null;
+  const scale = kind === 'proportion' ? 100 : 1;
+  return { ...result, difference: (d3.mean(a) - d3.mean(b)) * scale, smd: standardizedDifference(a, b, kind) };
+}
+
+// Adjusted p-values, in the order given, for one of CORRECTIONS; nulls (tests
+// that could not be run) stay null and do not count as comparisons
+export function adjustPValues(pValues, method) {
+  const tested = pValues.map((p, i) => ({ p, i })).filter(t => t.p !== null).sort((x, y) => x.p - y.p);
+  const m = tested.length;
+  const adjusted = [...pValues];
+  if (method === 'bonferroni') {
+    tested.forEach(t => { adjusted[t.i] = Math.min(1, t.p * m); });
+  } else if (method === 'holm') {
+    let running = 0;
+    tested.forEach((t, rank) => {
+      running = Math.max(running, Math.min(1, t.p * (m - rank)));
+      adjusted[t.i] = running;
+    });
+  } else if (method === 'bh') {
+    let running = 1;
+    for (let rank = m - 1; rank >= 0; rank--) {
+      running = Math.min(running, (tested[rank].p * m) / (rank + 1));
+      adjusted[tested[rank].i] = running;
+    }
+  }
+  return adjusted;
+}
+
+export function formatPValue(p) {
+  if (p === null) return '–';
+  return p < 0.001 ? '<0.001' : p.toFixed(3);
+}
+
+export function significanceStars(p) {
+  if (p === null) return '';
+  return p < 0.001 ? '***' : p < 0.01 ? '**' : p < 0.05 ? '*' : '';
+}
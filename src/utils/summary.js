@@ -0,0 +1,34 @@
+import * as d3 from 'd3';
+import { getOutcomeFeature } from './dataDictionary';
+import { metricKind, metricLabel, metricValues } from './statistics';
+
+// Columns the subgroup summary reports: every numeric or two-level column,
+// with the outcome last so it can be shown apart
+export function summaryFeatures(metadata) {
+  const outcome = getOutcomeFeature(metadata);
+  const features = Object.keys(metadata).filter(f => f !== outcome && metricKind(metadata[f]));
+  return outcome && metricKind(metadata[outcome]) ? [...features, outcome] : features;
+}
+
+// The subgroup summary's statistics of the rows at indices: the mean of each
+// numeric column and the percentage of each two-level column's positive
+// level, missing values left out. value is null when a column has no values.
+export function subgroupStats(data, indices, metadata) {
+  const outcome = getOutcomeFeature(metadata);
+  return {
+    n: indices.length,
+    stats: summaryFeatures(metadata).map(feature => {
+      const meta = metadata[feature];
+      const kind = metricKind(meta);
+      const values = metricValues(data, indices, feature, meta);
+      const mean = values.length > 0 ? d3.mean(values) : null;
+      return {
+        feature,
+        label: metricLabel(meta),
+        kind,
+        outcome: feature === outcome,
+        value: kind === 'proportion' && mean !== null ? mean * 100 : mean
+      };
+    })
+  };
+}
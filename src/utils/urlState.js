@@ -0,0 +1,212 @@
+// The dashboard's view state in the URL query string, so a link reproduces
+// what someone was looking at. Only values that differ from the defaults are
+// written, and index sets are packed (see encodeIndexSet) to keep links short.
+
+const BASE64URL = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789-_';
+
+function bytesToBase64url(bytes) {
+  let out = '';
+  for (let i = 0; i < bytes.length; i += 3) {
+    const n = (bytes[i] << 16) | ((bytes[i + 1] ?? 0) << 8) | (bytes[i + 2] ?? 0);
+    const chars = Math.min(4, Math.ceil(((bytes.length - i) * 8) / 6));
+    for (let c = 0; c < chars; c++) out += BASE64URL[(n >> (18 - 6 * c)) & 63];
+  }
+  return out;
+}
+
+function base64urlToBytes(text) {
+  const bytes = [];
+  for (let i = 0; i < text.length; i += 4) {
+    const chunk = text.slice(i, i + 4);
+    let n = 0;
+    for (let c = 0; c < 4; c++) {
+      const v = c < chunk.length ? BASE64URL.indexOf(chunk[c]) : 0;
+      if (v < 0) throw new Error(`Invalid character "${chunk[c]}" in index set`);
+      n = (n << 6) | v;
+    }
+    const count = Math.floor((chunk.length * 6) / 8);
+    for (let b = 0; b < count; b++) bytes.push((n >> (16 - 8 * b)) & 255);
+  }
+  return bytes;
+}
+
+// Unsigned LEB128: 7 bits per byte, high bit set on all but the last
+function writeVarint(bytes, n) {
+  while (n >= 128) {
+    bytes.push((n & 127) | 128);
+    n = Math.floor(n / 128);
+  }
+  bytes.push(n);
+}
+
+// Sorted, distinct indices as whichever is shorter: runs ("r": gap before and
+// length of each run of consecutive indices, as varints) or a bitset ("b")
+export function encodeIndexSet(indices) {
+  const sorted = [...new Set(indices)].sort((a, b) => a - b);
+  if (sorted.length === 0) return '';
+
+  const runs = [];
+  let previousEnd = 0;
+  for (let i = 0; i < sorted.length;) {
+    let j = i;
+    while (j + 1 < sorted.length && sorted[j + 1] === sorted[j] + 1) j++;
+    writeVarint(runs, sorted[i] - previousEnd);
+    writeVarint(runs, j - i);
+    previousEnd = sorted[j] + 1;
+    i = j + 1;
+  }
+
+  const bits = new Array(Math.floor(sorted[sorted.length - 1] / 8) + 1).fill(0);
+  sorted.forEach(i => {
+    bits[i >> 3] |= 1 << (i & 7);
+  });
+
+  return runs.length <= bits.length ? `r${bytesToBase64url(runs)}` : `b${bytesToBase64url(bits)}`;
+}
+
+export function decodeIndexSet(text) {
+  if (!text) return [];
+  const bytes = base64urlToBytes(text.slice(1));
+  const indices = [];
+  if (text[0] === 'b') {
+    bytes.forEach((byte, i) => {
+      for (let bit = 0; bit < 8; bit++) {
+        if (byte & (1 << bit)) indices.push(i * 8 + bit);
+      }
+    });
+    return indices;
+  }
+  if (text[0] !== 'r') throw new Error(`Unknown index set encoding "${text[0]}"`);
+
+  const numbers = [];
+  let value = 0;
+  let scale = 1;
+  bytes.forEach(byte => {
+    value += (byte & 127) * scale;
+    if (byte & 128) {
+      scale *= 128;
+    } else {
+      numbers.push(value);
+      value = 0;
+      scale = 1;
+    }
+  });
+  let start = 0;
+  for (let k = 0; k + 1 < numbers.length; k += 2) {
+    start += numbers[k];
+    for (let i = 0; i <= numbers[k + 1]; i++) indices.push(start + i);
+    start += numbers[k + 1] + 1;
+  }
+  return indices;
+}
+
+// Flat "key:value,key:value" maps for parameters, weights and calculator inputs
+function encodeMap(map) {
+  return Object.entries(map)
+    .map(([k, v]) => `${encodeURIComponent(k)}:${encodeURIComponent(v)}`)
+    .join(',');
+}
+
+function decodeMap(text, parse = v => v) {
+  const map = {};
+  text.split(',').filter(Boolean).forEach(pair => {
+    const colon = pair.indexOf(':');
+    if (colon < 0) return;
+    map[decodeURIComponent(pair.slice(0, colon))] = parse(decodeURIComponent(pair.slice(colon + 1)));
+  });
+  return map;
+}
+
+// Entries of values that differ from the defaults
+function changed(values, defaults) {
+  return Object.fromEntries(Object.entries(values).filter(([k, v]) => v !== defaults[k]));
+}
+
+const asNumber = v => (v === '' ? '' : Number.isNaN(Number(v)) ? v : Number(v));
+
+// view: { dataset, method, colorFeature, features, weights, imputation,
+// highlightImputed, umap, tsne, components, showBiplot, scatterAxes, selection,
+// filters, query, cohorts, inputs, showIndividual, inspected }; defaults holds
+// the values to leave out
+export function serializeViewState(view, defaults) {
+  const params = new URLSearchParams();
+  const set = (key, value, unless) => {
+    if (value !== undefined && value !== null && value !== '' && value !== unless) params.set(key, value);
+  };
+
+  set('d', view.dataset);
+  set('m', view.method, defaults.method);
+  set('c', view.colorFeature, defaults.colorFeature);
+  const features = view.features.join(',');
+  set('f', features, defaults.features.join(','));
+  set('w', encodeMap(view.weights));
+  set('i', view.imputation, defaults.imputation);
+  set('hi', view.highlightImputed ? '1' : '');
+  set('u', encodeMap(changed(view.umap, defaults.umap)));
+  set('t', encodeMap(changed(view.tsne, defaults.tsne)));
+  set('pc', view.components.join(','), defaults.components.join(','));
+  set('b', view.showBiplot ? '1' : '');
+  set('sx', view.scatterAxes.x, defaults.scatterAxes.x);
+  set('sy', view.scatterAxes.y, defaults.scatterAxes.y);
+  set('s', encodeIndexSet(view.selection));
+  if (Object.keys(view.filters).length > 0) set('h', JSON.stringify(view.filters));
+  set('q', view.query);
+  if (view.cohorts.length > 0) {
+    set('k', JSON.stringify(view.cohorts.map(c => ({
+      n: c.name,
+      d: c.description || undefined,
+      c: c.color,
+      h: c.visible ? undefined : 1,
+      q: c.query || undefined,
+      s: encodeIndexSet(c.indices)
+    }))));
+  }
+  set('r', encodeMap(changed(view.inputs, defaults.inputs)));
+  set('p', view.showIndividual ? '1' : '');
+  set('x', view.inspected === null ? '' : String(view.inspected));
+  return params.toString();
+}
+
+// The parts of the view present in a query string. Malformed entries are
+// skipped with a warning rather than failing the whole link.
+export function parseViewState(search) {
+  const params = new URLSearchParams(search);
+  const view = {};
+  const read = (key, field, parse = v => v) => {
+    if (!params.has(key)) return;
+    try {
+      view[field] = parse(params.get(key));
+    } catch (error) {
+      console.error(`Ignoring "${key}" in the link:`, error);
+    }
+  };
+
+  read('d', 'dataset');
+  read('m', 'method');
+  read('c', 'colorFeature');
+  read('f', 'features', v => v.split(',').filter(Boolean));
+  read('w', 'weights', v => decodeMap(v, Number));
+  read('i', 'imputation');
+  read('hi', 'highlightImputed', v => v === '1');
+  read('u', 'umap', v => decodeMap(v, asNumber));
+  read('t', 'tsne', v => decodeMap(v, asNumber));
+  read('pc', 'components', v => v.split(',').map(Number));
+  read('b', 'showBiplot', v => v === '1');
+  read('sx', 'scatterX');
+  read('sy', 'scatterY');
+  read('s', 'selection', decodeIndexSet);
+  read('h', 'filters', JSON.parse);
+  read('q', 'query');
+  read('k', 'cohorts', v => JSON.parse(v).map(c => ({
+    name: c.n,
+    description: c.d ?? '',
+    color: c.c,
+    visible: !c.h,
+    query: c.q ?? null,
+    indices: decodeIndexSet(c.s)
+  })));
+  read('r', 'inputs', v => decodeMap(v));
+  read('p', 'showIndividual', v => v === '1');
+  read('x', 'inspected', Number);
+  return view;
+}
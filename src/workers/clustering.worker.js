@@ -0,0 +1,27 @@
+import { preprocessData } from '../utils/dataLoader';
+import { clusterPoints } from '../utils/clustering';
+
+// Clusters either the standardized feature matrix (the same one the projection
+// sees) or a 2-D embedding, and posts back
+//   { type: 'done', result: { labels, silhouette, sweep, validIndices } }
+// or { type: 'error', message }
+self.onmessage = (event) => {
+  const { space, data, features, options, embedding, validIndices, params } = event.data;
+
+  try {
+    let X;
+    let indices;
+    if (space === 'embedding') {
+      X = embedding.map(p => [p.x, p.y]);
+      indices = validIndices;
+    } else {
+      const preprocessed = preprocessData(data, features, options);
+      X = preprocessed.normalized;
+      indices = preprocessed.validIndices;
+    }
+    const result = clusterPoints(X, params);
+    self.postMessage({ type: 'done', result: { ...result, validIndices: indices } });
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+  }
+};
@@ -0,0 +1,64 @@
+import { computePCA, computeUMAP, computeTSNE } from '../utils/dataLoader';
+
+// The last fitted UMAP, kept so new records can be placed in its layout
+let umapModel = null;
+
+// Milliseconds between progress messages; one per epoch would re-render the
+// app hundreds of times a second
+const PROGRESS_INTERVAL = 100;
+
+// Runs one projection per message and posts back
+//   { type: 'progress', epoch, nEpochs }      (throttled; the first and last always sent)
+//   { type: 'frame', projection, validIndices }   (intermediate layouts, if requested)
+//   { type: 'done', result } or { type: 'error', message }
+// After a UMAP run, { type: 'transform', id, rows } (rows encoded with the
+// result's encoder) is answered with { type: 'transformed', id, embedding }.
+self.onmessage = (event) => {
+  if (event.data.type === 'transform') {
+    const { id, rows } = event.data;
+    try {
+      if (!umapModel) throw new Error('No fitted UMAP to transform with');
+      // umap-js optimizes transforms for nEpochs / 3 epochs and never stops
+      // unless that is a whole number
+      umapModel.nEpochs = Math.max(3, 3 * Math.round(umapModel.nEpochs / 3));
+      self.postMessage({ type: 'transformed', id, embedding: umapModel.transform(rows) });
+    } catch (error) {
+      self.postMessage({ type: 'error', id, message: error.message });
+    }
+    return;
+  }
+
+  const { method, data, features, options, streamFrames } = event.data;
+
+  let lastProgress = -Infinity;
+  const callbacks = {
+    onProgress: (epoch, nEpochs) => {
+      const now = performance.now();
+      if (epoch < nEpochs && now - lastProgress < PROGRESS_INTERVAL) return;
+      lastProgress = now;
+      self.postMessage({ type: 'progress', epoch, nEpochs });
+    },
+    onFrame: streamFrames
+      ? (projection, validIndices) => self.postMessage({ type: 'frame', projection, validIndices })
+      : undefined,
+    onModel: (model) => {
+      umapModel = model;
+    }
+  };
+
+  try {
+    let result;
+    if (method === 'PCA') {
+      result = computePCA(data, features, options);
+    } else if (method === 'UMAP') {
+      result = computeUMAP(data, features, options, callbacks);
+    } else if (method === 't-SNE') {
+      result = computeTSNE(data, features, options, callbacks);
+    } else {
+      throw new Error(`Unknown projection method: ${method}`);
+    }
+    self.postMessage({ type: 'done', result });
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+  }
+};